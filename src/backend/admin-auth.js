@@ -0,0 +1,97 @@
+/**
+ * Admin authentication
+ * The admin password is configured as a bcrypt hash (ADMIN_PASSWORD_HASH) or
+ * in clear (ADMIN_PASSWORD, hashed at startup), and sent by clients with
+ * HTTP Basic authentication or as a Bearer token
+ */
+
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+
+const BCRYPT_ROUNDS = 12;
+
+// Verified credentials, by SHA-256, so bcrypt only runs once per client
+const VERIFIED_LIMIT = 20;
+
+// Credential sent with the request: Bearer token, or the password of Basic auth
+function getCredential(req) {
+  const header = req.get('Authorization') || '';
+  const [scheme, value] = header.split(' ');
+
+  if (/^bearer$/i.test(scheme) && value) {
+    return value;
+  }
+  if (/^basic$/i.test(scheme) && value) {
+    const decoded = Buffer.from(value, 'base64').toString('utf-8');
+    const separator = decoded.indexOf(':');
+    return separator === -1 ? null : decoded.slice(separator + 1);
+  }
+  return null;
+}
+
+function createAdminAuth({ passwordHash, password } = {}) {
+  let hash = passwordHash || null;
+  if (!hash && password) {
+    console.warn('⚠️  ADMIN_PASSWORD is set in clear, prefer ADMIN_PASSWORD_HASH');
+    hash = bcrypt.hashSync(password, BCRYPT_ROUNDS);
+  }
+
+  const verified = new Set();
+
+  async function verify(credential) {
+    if (!hash || !credential) return false;
+
+    const digest = crypto.createHash('sha256').update(credential).digest('hex');
+    if (verified.has(digest)) return true;
+
+    if (!await bcrypt.compare(credential, hash)) return false;
+
+    verified.add(digest);
+    if (verified.size > VERIFIED_LIMIT) {
+      verified.delete(verified.values().next().value);
+    }
+    return true;
+  }
+
+  // Express middleware: 404 when no password is configured, 401 without valid credentials
+  async function requireAdmin(req, res, next) {
+    if (!hash) {
+      return res.status(404).json({ error: 'Not found' });
+    }
+
+    try {
+      if (await verify(getCredential(req))) {
+        return next();
+      }
+    } catch (error) {
+      console.error('Error verifying admin credentials:', error);
+      return res.status(500).json({ error: 'Internal server error' });
+    }
+
+    res.set('WWW-Authenticate', 'Basic realm="admin", charset="UTF-8"');
+    res.status(401).json({ error: 'Authentication required' });
+  }
+
+  return {
+    get enabled() {
+      return Boolean(hash);
+    },
+    verify,
+    requireAdmin
+  };
+}
+
+module.exports = {
+  createAdminAuth
+};
+
+// Print the hash to put in ADMIN_PASSWORD_HASH: node backend/admin-auth.js <password>
+if (require.main === module) {
+  const [password] = process.argv.slice(2);
+  if (!password) {
+    console.error('Usage: node backend/admin-auth.js <password>');
+    process.exitCode = 1;
+  } else {
+    console.log(bcrypt.hashSync(password, BCRYPT_ROUNDS));
+  }
+}
@@ -0,0 +1,117 @@
+/**
+ * Code blocks, highlighted with highlight.js
+ * The fence info string may follow the language with options:
+ *
+ *   ```js title="server.js" {3-5,8} showLineNumbers
+ *
+ * - title="...": file name shown above the code
+ * - {3-5,8}: lines to highlight (1-based)
+ * - showLineNumbers: line numbers, drawn by CSS so copying leaves them out
+ *
+ * A diff-<language> block (```diff-js) is highlighted as <language> once
+ * the first column of its lines is removed: + and - lines are marked as
+ * added or removed instead, other lines are context.
+ */
+
+const hljs = require('highlight.js');
+
+function escapeHtml(text) {
+  return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+// Language and options of a fence info string
+function parseInfoString(infostring) {
+  const info = (infostring || '').trim();
+  const language = info.match(/^\S*/)[0];
+  const meta = info.slice(language.length);
+
+  const title = /\btitle=(?:"([^"]*)"|'([^']*)'|(\S+))/.exec(meta);
+  const highlighted = new Set();
+  const ranges = /\{([\d\s,-]+)\}/.exec(meta);
+  if (ranges) {
+    ranges[1].split(',').forEach(range => {
+      const [start, end = start] = range.split('-').map(Number);
+      for (let line = start; line <= end && line - start < 10000; line++) highlighted.add(line);
+    });
+  }
+
+  return {
+    language,
+    title: title ? title[1] || title[2] || title[3] || null : null,
+    highlighted,
+    showLineNumbers: /(?:^|\s)showLineNumbers(?:\s|$)/.test(meta)
+  };
+}
+
+function highlight(code, language) {
+  if (language && hljs.getLanguage(language)) {
+    try {
+      return hljs.highlight(code, { language }).value;
+    } catch (err) {
+      console.error('Highlighting error:', err);
+    }
+  }
+  return hljs.highlightAuto(code).value;
+}
+
+// Split highlighted HTML in lines, closing the spans left open at the end
+// of a line (multi-line strings, comments) and reopening them on the next
+function splitLines(html) {
+  const lines = [];
+  const open = [];
+  let line = '';
+
+  html.split(/(<[^>]+>|\n)/).forEach(part => {
+    if (part === '\n') {
+      lines.push(line + '</span>'.repeat(open.length));
+      line = open.join('');
+    } else if (part.startsWith('</')) {
+      open.pop();
+      line += part;
+    } else if (part.startsWith('<')) {
+      open.push(part);
+      line += part;
+    } else {
+      line += part;
+    }
+  });
+  lines.push(line);
+  return lines;
+}
+
+// marked code renderer
+function renderCodeBlock(code, infostring) {
+  const { language, title, highlighted, showLineNumbers } = parseInfoString(infostring);
+  const diff = /^diff-(.+)$/.exec(language);
+
+  let html;
+  let lineClasses = [];
+  if (diff) {
+    const lines = code.split('\n');
+    lineClasses = lines.map(line => line[0] === '+' ? 'diff-add' : line[0] === '-' ? 'diff-remove' : null);
+    // The first column holds the marker, a space on context lines
+    html = highlight(lines.map(line => line.slice(1)).join('\n'), diff[1]);
+  } else {
+    html = highlight(code, language);
+  }
+
+  // Lines only get their own element when something is shown per line
+  if (diff || showLineNumbers || highlighted.size > 0) {
+    html = splitLines(html).map((line, index) => {
+      const classes = ['code-line', lineClasses[index], highlighted.has(index + 1) ? 'highlighted' : null];
+      return `<span class="${classes.filter(Boolean).join(' ')}">${line}</span>`;
+    }).join('\n');
+  }
+
+  const preClasses = [showLineNumbers ? 'line-numbers' : null, diff ? 'diff' : null].filter(Boolean);
+  const pre = `<pre${preClasses.length > 0 ? ` class="${preClasses.join(' ')}"` : ''}><code class="hljs language-${escapeHtml(language || 'text')}">${html}</code></pre>`;
+
+  return title ?
+    `<div class="code-block"><div class="code-title">${escapeHtml(title)}</div>${pre}</div>\n` :
+    `${pre}\n`;
+}
+
+module.exports = {
+  parseInfoString,
+  renderCodeBlock
+};
@@ -0,0 +1,229 @@
+/**
+ * Reader comments
+ * Comments of each post are kept in a JSON file, <commentsDir>/<postId>.json.
+ * New comments wait in a moderation queue until they are approved through
+ * the admin API. Replies point to their parent comment; threads are built
+ * when reading.
+ *
+ * Failures are thrown as errors with a code, like the post store: ENOENT (no
+ * such comment) or EINVAL (invalid input).
+ */
+
+const path = require('path');
+const fs = require('fs').promises;
+const crypto = require('crypto');
+
+const COMMENT_STATUSES = ['pending', 'approved'];
+const MAX_AUTHOR_LENGTH = 80;
+const MAX_CONTENT_LENGTH = 5000;
+
+function commentError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+// Trimmed string of 1 to maxLength characters
+function readText(value, name, maxLength) {
+  const text = typeof value === 'string' ? value.replace(/\r\n?/g, '\n').trim() : '';
+  if (!text) {
+    throw commentError('EINVAL', `"${name}" is required`);
+  }
+  if (text.length > maxLength) {
+    throw commentError('EINVAL', `"${name}" must be at most ${maxLength} characters`);
+  }
+  return text;
+}
+
+// Approved comments as a tree, oldest first; replies to comments that are
+// not approved are left out with them
+function buildThreads(comments) {
+  const approved = comments
+    .filter(comment => comment.status === 'approved')
+    .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+
+  const byId = new Map(approved.map(comment => [comment.id, {
+    id: comment.id,
+    parentId: comment.parentId,
+    author: comment.author,
+    content: comment.content,
+    createdAt: comment.createdAt,
+    replies: []
+  }]));
+
+  const threads = [];
+  byId.forEach(comment => {
+    if (!comment.parentId) {
+      threads.push(comment);
+    } else if (byId.has(comment.parentId)) {
+      byId.get(comment.parentId).replies.push(comment);
+    }
+  });
+  return threads;
+}
+
+function countComments(threads) {
+  return threads.reduce((count, comment) => count + 1 + countComments(comment.replies), 0);
+}
+
+function createCommentStore(commentsDir) {
+  const cache = new Map(); // Comments by post id, loaded on first use
+  const writes = new Map(); // Pending write by post id, so changes apply one at a time
+
+  function filePath(postId) {
+    if (typeof postId !== 'string' || !postId || /[/\\]/.test(postId) || postId.startsWith('.')) {
+      throw commentError('ENOENT', 'Comment not found');
+    }
+    return path.join(commentsDir, `${postId}.json`);
+  }
+
+  async function load(postId) {
+    if (!cache.has(postId)) {
+      try {
+        cache.set(postId, JSON.parse(await fs.readFile(filePath(postId), 'utf-8')));
+      } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+        cache.set(postId, []);
+      }
+    }
+    return cache.get(postId);
+  }
+
+  // Run change(comments) on the comments of a post and save the result
+  function update(postId, change) {
+    const previous = writes.get(postId) || Promise.resolve();
+    const next = previous.catch(() => {}).then(async () => {
+      const comments = [...await load(postId)];
+      const result = change(comments);
+
+      await fs.mkdir(commentsDir, { recursive: true });
+      const tempPath = path.join(commentsDir, `.${postId}.json.${process.pid}.tmp`);
+      await fs.writeFile(tempPath, JSON.stringify(comments, null, 2));
+      await fs.rename(tempPath, filePath(postId));
+      cache.set(postId, comments);
+      return result;
+    });
+
+    writes.set(postId, next);
+    next.finally(() => {
+      if (writes.get(postId) === next) writes.delete(postId);
+    }).catch(() => {});
+    return next;
+  }
+
+  async function getThreads(postId) {
+    return buildThreads(await load(postId));
+  }
+
+  // New comments are pending; replies must answer an approved comment of the post
+  function addComment(postId, { author, content, parentId }) {
+    const comment = {
+      id: crypto.randomBytes(6).toString('hex'),
+      parentId: parentId || null,
+      author: readText(author, 'author', MAX_AUTHOR_LENGTH),
+      content: readText(content, 'content', MAX_CONTENT_LENGTH),
+      createdAt: new Date().toISOString(),
+      status: 'pending'
+    };
+
+    return update(postId, comments => {
+      if (comment.parentId && !comments.some(c => c.id === comment.parentId && c.status === 'approved')) {
+        throw commentError('EINVAL', 'Unknown parent comment');
+      }
+      comments.push(comment);
+      return comment;
+    });
+  }
+
+  // Comments of every post with the given status, newest first
+  async function listComments(status) {
+    let files;
+    try {
+      files = await fs.readdir(commentsDir);
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+
+    const postIds = files.filter(file => file.endsWith('.json') && !file.startsWith('.')).map(file => file.slice(0, -5));
+    const lists = await Promise.all(postIds.map(async postId =>
+      (await load(postId)).filter(comment => comment.status === status).map(comment => ({ postId, ...comment }))
+    ));
+    return lists.flat().sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+  }
+
+  function setStatus(postId, commentId, status) {
+    if (!COMMENT_STATUSES.includes(status)) {
+      throw commentError('EINVAL', `"status" must be one of: ${COMMENT_STATUSES.join(', ')}`);
+    }
+
+    return update(postId, comments => {
+      const index = comments.findIndex(comment => comment.id === commentId);
+      if (index === -1) throw commentError('ENOENT', 'Comment not found');
+      comments[index] = { ...comments[index], status };
+      return comments[index];
+    });
+  }
+
+  // Deletes the replies too; returns the number of comments removed
+  function deleteComment(postId, commentId) {
+    return update(postId, comments => {
+      if (!comments.some(comment => comment.id === commentId)) {
+        throw commentError('ENOENT', 'Comment not found');
+      }
+
+      const removed = new Set([commentId]);
+      let size;
+      do {
+        size = removed.size;
+        comments.forEach(comment => {
+          if (removed.has(comment.parentId)) removed.add(comment.id);
+        });
+      } while (removed.size > size);
+
+      const kept = comments.filter(comment => !removed.has(comment.id));
+      comments.splice(0, comments.length, ...kept);
+      return removed.size;
+    });
+  }
+
+  // Comments follow their post when it is renamed
+  async function renamePost(postId, newPostId) {
+    await writes.get(postId);
+    try {
+      await fs.rename(filePath(postId), filePath(newPostId));
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+    cache.delete(postId);
+    cache.delete(newPostId);
+  }
+
+  // Comments go with their post, so a new post with the same id starts without any
+  async function deletePost(postId) {
+    await writes.get(postId);
+    try {
+      await fs.unlink(filePath(postId));
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+    cache.delete(postId);
+  }
+
+  return {
+    getThreads,
+    addComment,
+    listComments,
+    setStatus,
+    deleteComment,
+    renamePost,
+    deletePost
+  };
+}
+
+module.exports = {
+  COMMENT_STATUSES,
+  buildThreads,
+  countComments,
+  createCommentStore
+};
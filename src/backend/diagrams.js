@@ -0,0 +1,140 @@
+/**
+ * Mermaid diagrams, rendered to inline SVG on the server
+ * ```mermaid code blocks become <pre class="mermaid"> placeholders holding
+ * the diagram source; after sanitization, renderDiagrams() replaces them
+ * with the SVG drawn by mermaid in a headless Chromium (mermaid-cli), so
+ * readers get the diagram without any script.
+ *
+ * The browser is started on the first diagram and closed when idle. SVGs
+ * are cached on disk by source, so a diagram is only drawn once. A diagram
+ * that fails to render keeps its source as a plain code block, and the
+ * failure is reported so the post is not cached in that state.
+ */
+
+const path = require('path');
+const fs = require('fs').promises;
+const crypto = require('crypto');
+const { decodeEntities } = require('./search');
+
+// Installed by mermaid-cli, which draws with it
+const MERMAID_VERSION = require('mermaid/package.json').version;
+const MERMAID_CONFIG = { theme: 'dark', securityLevel: 'strict' };
+const IDLE_TIMEOUT = 60 * 1000; // Browser kept open between renders
+
+function escapeHtml(text) {
+  return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+const diagramExtensions = {
+  renderer: {
+    code(code, infostring) {
+      if ((infostring || '').trim().split(/\s+/)[0] !== 'mermaid') return false;
+      return `<pre class="mermaid">${escapeHtml(code)}</pre>\n`;
+    }
+  }
+};
+
+function createDiagramRenderer(cacheDir) {
+  let browser = null; // Promise of the puppeteer browser, while open
+  let idleTimer = null;
+  let queue = Promise.resolve(); // Diagrams are drawn one at a time
+
+  async function getBrowser() {
+    clearTimeout(idleTimer);
+    if (!browser) {
+      const puppeteer = require('puppeteer');
+      browser = puppeteer.launch({
+        // Chromium cannot use its sandbox in most containers (see README)
+        args: process.env.CHROMIUM_NO_SANDBOX === 'true' ? ['--no-sandbox'] : []
+      });
+      browser.catch(() => {
+        browser = null;
+      });
+    }
+    return browser;
+  }
+
+  async function close() {
+    clearTimeout(idleTimer);
+    const closing = browser;
+    browser = null;
+    if (closing) await closing.then(instance => instance.close()).catch(() => {});
+  }
+
+  function scheduleClose() {
+    clearTimeout(idleTimer);
+    idleTimer = setTimeout(close, IDLE_TIMEOUT);
+    idleTimer.unref();
+  }
+
+  function draw(source, svgId) {
+    const next = queue.then(async () => {
+      try {
+        const { renderMermaid } = await import('@mermaid-js/mermaid-cli');
+        const { data } = await renderMermaid(await getBrowser(), source, 'svg', {
+          backgroundColor: 'transparent',
+          mermaidConfig: MERMAID_CONFIG,
+          svgId
+        });
+        return Buffer.from(data).toString('utf-8');
+      } finally {
+        scheduleClose();
+      }
+    });
+    queue = next.catch(() => {});
+    return next;
+  }
+
+  async function getSvg(source) {
+    const hash = crypto.createHash('sha1')
+      .update(JSON.stringify([MERMAID_VERSION, MERMAID_CONFIG, source]))
+      .digest('hex');
+    const cachePath = path.join(cacheDir, `${hash}.svg`);
+
+    try {
+      return await fs.readFile(cachePath, 'utf-8');
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+
+    const svg = await draw(source, `mermaid-${hash.slice(0, 12)}`);
+    await fs.mkdir(cacheDir, { recursive: true });
+    await fs.writeFile(cachePath, svg);
+    return svg;
+  }
+
+  // Replace the diagram placeholders of sanitized HTML with their SVG
+  // Returns { html, errors }: the messages of the diagrams left as source
+  async function renderDiagrams(html) {
+    const pattern = /<pre class="mermaid">([^<]*)<\/pre>/g;
+    const sources = [...new Set([...html.matchAll(pattern)].map(match => match[1]))];
+    if (sources.length === 0) return { html, errors: [] };
+
+    const diagrams = new Map();
+    const errors = [];
+    for (const escaped of sources) {
+      try {
+        diagrams.set(escaped, await getSvg(decodeEntities(escaped)));
+      } catch (error) {
+        errors.push(error.message.split('\n')[0]);
+      }
+    }
+
+    return {
+      html: html.replace(pattern, (match, escaped) =>
+        diagrams.has(escaped) ? `<figure class="mermaid-diagram">${diagrams.get(escaped)}</figure>` : match
+      ),
+      errors
+    };
+  }
+
+  return {
+    renderDiagrams,
+    close
+  };
+}
+
+module.exports = {
+  diagramExtensions,
+  createDiagramRenderer
+};
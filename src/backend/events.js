@@ -0,0 +1,58 @@
+/**
+ * Server-Sent Events
+ * Pushes post changes detected by the watcher to open browser tabs
+ */
+
+// Comment lines keep idle connections open through proxies (nginx times out at 60s)
+const HEARTBEAT_INTERVAL = 25000;
+
+function createEventStream() {
+  const clients = new Set();
+
+  function write(client, chunk) {
+    client.res.write(chunk);
+    // compression() buffers responses until flushed
+    if (typeof client.res.flush === 'function') client.res.flush();
+  }
+
+  // Keep the response open and register it; `info` is matched by broadcast filters
+  function connect(req, res, info = {}) {
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache, no-transform',
+      'Connection': 'keep-alive',
+      'X-Accel-Buffering': 'no'
+    });
+
+    const client = { res, ...info };
+    clients.add(client);
+    write(client, 'retry: 5000\n\n');
+
+    const heartbeat = setInterval(() => write(client, ': heartbeat\n\n'), HEARTBEAT_INTERVAL);
+
+    req.on('close', () => {
+      clearInterval(heartbeat);
+      clients.delete(client);
+    });
+  }
+
+  // Send an event to every client accepted by `filter`
+  function broadcast(event, data, filter = () => true) {
+    const chunk = `event: ${event}\ndata: ${JSON.stringify(data)}\n\n`;
+    clients.forEach(client => {
+      if (filter(client)) write(client, chunk);
+    });
+  }
+
+  return {
+    connect,
+    broadcast,
+    get size() {
+      return clients.size;
+    }
+  };
+}
+
+module.exports = {
+  createEventStream
+};
@@ -0,0 +1,207 @@
+/**
+ * Static site export
+ * Writes the blog as plain files that object storage or any static host can
+ * serve without Node: server-rendered pages, the API responses BlogApp
+ * fetches, post assets, feeds and sitemap.
+ *
+ * Static hosts ignore query strings and pick the content type from the file
+ * extension, so each API response BlogApp requests is written to
+ * `<path>.json`, and exported pages carry a meta tag telling BlogApp to
+ * fetch those files. `?page=N` cannot be honoured either, so post lists are
+ * written in pages of the usual size as `<path>/page/<n>.json`, which
+ * BlogApp requests instead, next to a `<path>.json` holding every post.
+ * Search needs the server and is not exported.
+ */
+
+const path = require('path');
+const fs = require('fs').promises;
+const {
+  buildSitemapEntries,
+  paginateSitemap,
+  buildUrlset,
+  buildSitemapIndex,
+  buildRobotsTxt
+} = require('./sitemap');
+const { buildSeries } = require('./series');
+const { getPostStatus, isPublished } = require('./visibility');
+
+// Written in every export, so a later export knows it may empty the directory
+const MARKER_FILE = '.blog-export';
+
+async function writeFile(outDir, relativePath, content) {
+  const filePath = path.join(outDir, relativePath);
+  await fs.mkdir(path.dirname(filePath), { recursive: true });
+  await fs.writeFile(filePath, content);
+}
+
+function writeJson(outDir, relativePath, data) {
+  return writeFile(outDir, `${relativePath}.json`, JSON.stringify(data));
+}
+
+// Rendered page, marked so BlogApp fetches the exported .json files
+function writePage(outDir, relativePath, html) {
+  return writeFile(outDir, relativePath, html.replace('</head>', () => '    <meta name="blog-export" content="static">\n</head>'));
+}
+
+async function copyDirectory(source, destination, filter = () => true) {
+  const entries = await fs.readdir(source, { withFileTypes: true });
+  await fs.mkdir(destination, { recursive: true });
+
+  for (const entry of entries) {
+    if (!filter(entry)) continue;
+
+    const from = path.join(source, entry.name);
+    const to = path.join(destination, entry.name);
+    if (entry.isDirectory()) {
+      await copyDirectory(from, to, filter);
+    } else if (entry.isFile()) {
+      await fs.copyFile(from, to);
+    }
+  }
+}
+
+// Empty the output directory, refusing to touch one we did not create
+async function prepareOutputDirectory(outDir) {
+  let entries;
+  try {
+    entries = await fs.readdir(outDir);
+  } catch (error) {
+    if (error.code !== 'ENOENT') throw error;
+    entries = [];
+  }
+
+  if (entries.length > 0 && !entries.includes(MARKER_FILE)) {
+    throw new Error(`${outDir} is not empty and was not created by a previous export`);
+  }
+
+  await fs.rm(outDir, { recursive: true, force: true });
+  await fs.mkdir(outDir, { recursive: true });
+  await fs.writeFile(path.join(outDir, MARKER_FILE), '');
+}
+
+// Every spelling of each tag (BlogApp keeps the case used in the post),
+// keyed by the lowercase tag
+function collectTags(posts) {
+  const tags = new Map();
+  posts.forEach(post => (post.tags || []).forEach(tag => {
+    const normalizedTag = tag.toLowerCase();
+    if (!tags.has(normalizedTag)) tags.set(normalizedTag, new Set([normalizedTag]));
+    tags.get(normalizedTag).add(tag);
+  }));
+  return tags;
+}
+
+// Single-page response matching /api/posts, plus the paginated copies
+async function writePostList(outDir, relativeDir, posts, site, extra = {}) {
+  await writeJson(outDir, relativeDir, {
+    ...site.paginatePosts(posts, 1, Math.max(posts.length, 1)),
+    ...extra
+  });
+
+  const totalPages = Math.max(Math.ceil(posts.length / site.pageSize), 1);
+  for (let page = 1; page <= totalPages; page++) {
+    await writeFile(outDir, path.join(relativeDir, 'page', `${page}.json`), JSON.stringify({
+      ...site.paginatePosts(posts, page, site.pageSize),
+      ...extra
+    }));
+  }
+}
+
+// Server-rendered listing pages: <basePath>/, <basePath>/page/<n>/
+// basePath is URL-encoded
+async function writeListingPages(outDir, basePath, posts, site, tag) {
+  const pageUrl = page => page === 1 ? `${basePath}/` : `${basePath}/page/${page}/`;
+
+  for (let page = 1; ; page++) {
+    const html = site.renderListingPage({ posts, tag, page, siteUrl: site.siteUrl, pageUrl });
+    if (!html) break;
+    await writePage(outDir, path.join(decodeURIComponent(pageUrl(page)), 'index.html'), html);
+  }
+}
+
+async function writeFeeds(outDir, relativeDir, posts, site, tag) {
+  const files = { rss: 'feed.xml', atom: 'atom.xml', json: 'feed.json' };
+  // The site-wide RSS feed is /rss.xml
+  if (!tag) files.rss = 'rss.xml';
+
+  for (const [format, fileName] of Object.entries(files)) {
+    const feedPath = `/${path.posix.join(relativeDir, fileName)}`;
+    await writeFile(outDir, feedPath, site.buildFeed(format, posts, { siteUrl: site.siteUrl, tag, feedPath }));
+  }
+}
+
+// site: rendering pipeline and response builders shared with server.js
+async function exportSite(outDir, site) {
+  await prepareOutputDirectory(outDir);
+
+  const now = new Date();
+  const allPosts = await site.loadPosts();
+  const listedPosts = await site.loadListedPosts();
+  const publishedPosts = allPosts.filter(post => isPublished(post, now));
+
+  // Frontend files; index.html is only the template of the rendered pages,
+  // and the admin editor needs the server
+  await copyDirectory(site.frontendDir, outDir, entry => entry.name !== 'index.html' && !entry.name.startsWith('admin.'));
+  await copyDirectory(site.katexDir, path.join(outDir, 'katex'), entry => entry.isDirectory() || /\.(css|woff2?|ttf)$/.test(entry.name));
+
+  // Listings
+  await writeListingPages(outDir, '', listedPosts, site, null);
+  await writePostList(outDir, 'api/posts', listedPosts, site);
+  await writePage(outDir, '404.html', site.renderNotFoundPage());
+
+  for (const [normalizedTag, spellings] of collectTags(listedPosts)) {
+    const posts = site.filterPostsByTag(listedPosts, normalizedTag);
+    for (const tag of spellings) {
+      await writeListingPages(outDir, `/tags/${encodeURIComponent(tag)}`, posts, site, tag);
+      await writePostList(outDir, `api/posts/tag/${tag}`, posts, site, { tag });
+      await writeFeeds(outDir, `api/posts/tag/${tag}`, posts, site, tag);
+    }
+  }
+
+  await writeJson(outDir, 'api/tags', { tags: site.buildTagCounts(listedPosts) });
+  await writeJson(outDir, 'api/series', { series: site.buildSeriesList(listedPosts) });
+  for (const entry of buildSeries(listedPosts).values()) {
+    await writeJson(outDir, `api/series/${entry.slug}`, site.buildSeriesDetail(entry));
+  }
+  await writeJson(outDir, 'api/version', site.version);
+
+  // Posts (unlisted ones too: they are public, just not listed)
+  for (const post of publishedPosts) {
+    const status = getPostStatus(post, now);
+    await writePage(outDir, path.join('posts', post.id, 'index.html'), site.renderPostPage(post, status, site.siteUrl));
+    await writeJson(outDir, `api/posts/${post.id}`, { ...post, status });
+    // BlogApp asks for 3 related posts
+    await writeJson(outDir, `api/posts/${post.id}/related`, site.buildRelatedPosts(post, listedPosts, 3));
+
+    if (post.isDirectoryPost) {
+      await copyDirectory(
+        path.join(site.postsDir, post.id),
+        path.join(outDir, 'api/posts', post.id, 'assets'),
+        entry => !entry.name.startsWith('._') && !(entry.isFile() && entry.name.endsWith('.md'))
+      );
+    }
+
+    if (post.image === `/api/posts/${post.id}/og.png`) {
+      await fs.copyFile(await site.getOgImage(post), path.join(outDir, 'api/posts', post.id, 'og.png'));
+    }
+  }
+
+  // Feeds, sitemap and robots.txt
+  await writeFeeds(outDir, '', listedPosts, site, null);
+  const sitemapPages = paginateSitemap(buildSitemapEntries(listedPosts, site.siteUrl));
+  if (sitemapPages.length > 1) {
+    await writeFile(outDir, 'sitemap.xml', buildSitemapIndex(sitemapPages, site.siteUrl));
+    for (let index = 0; index < sitemapPages.length; index++) {
+      await writeFile(outDir, `sitemap-${index + 1}.xml`, buildUrlset(sitemapPages[index]));
+    }
+  } else {
+    await writeFile(outDir, 'sitemap.xml', buildUrlset(sitemapPages[0] || []));
+  }
+  await writeFile(outDir, 'robots.txt', buildRobotsTxt(site.siteUrl));
+
+  return { posts: publishedPosts.length, listed: listedPosts.length };
+}
+
+module.exports = {
+  exportSite
+};
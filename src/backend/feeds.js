@@ -0,0 +1,144 @@
+/**
+ * Feed generation (RSS 2.0, Atom 1.0 and JSON Feed 1.1)
+ * Built from the posts returned by loadPosts()
+ */
+
+const { postUrl } = require('./urls');
+
+const FEED_LIMIT = 20;
+
+// Escape a string for use in XML text nodes and attributes
+function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+// Wrap HTML in a CDATA section, splitting any nested terminator
+function cdata(value) {
+  return `<![CDATA[${String(value).replace(/]]>/g, ']]]]><![CDATA[>')}]]>`;
+}
+
+// Turn root-relative URLs (e.g. /api/posts/:id/assets/*) into absolute URLs
+function absolutizeUrls(html, siteUrl) {
+  return html
+    .replace(/(\s(?:src|href|poster)=["'])\/(?!\/)/g, `$1${siteUrl}/`)
+    .replace(/(\ssrcset=")([^"]*)/g, (match, start, srcset) =>
+      start + srcset.replace(/(^|,\s*)\/(?!\/)/g, `$1${siteUrl}/`));
+}
+
+// Parse a post date, returning null when it is missing or not a valid date
+function toDate(value) {
+  if (!value) return null;
+  const date = new Date(value);
+  return isNaN(date.getTime()) ? null : date;
+}
+
+// Keep only the newest posts and prepare the fields shared by every format
+function prepareItems(posts, siteUrl) {
+  return posts.slice(0, FEED_LIMIT).map(post => ({
+    post,
+    url: postUrl(siteUrl, post),
+    date: toDate(post.date) || new Date(0),
+    updated: toDate(post.updated) || toDate(post.date) || new Date(0),
+    content: absolutizeUrls(post.content || '', siteUrl)
+  }));
+}
+
+// Last change of the feed: the latest update of its items
+function latestDate(items) {
+  if (items.length === 0) return new Date();
+  return new Date(Math.max(...items.map(item => item.updated.getTime())));
+}
+
+function buildRss(posts, { siteUrl, title, description, feedUrl, language }) {
+  const items = prepareItems(posts, siteUrl);
+
+  const itemsXml = items.map(({ post, url, date, content }) => `    <item>
+      <title>${escapeXml(post.title)}</title>
+      <link>${escapeXml(url)}</link>
+      <guid isPermaLink="true">${escapeXml(url)}</guid>
+      <pubDate>${date.toUTCString()}</pubDate>
+      <dc:creator>${escapeXml(post.author)}</dc:creator>
+${(post.tags || []).map(tag => `      <category>${escapeXml(tag)}</category>`).join('\n')}
+      <description>${escapeXml(post.excerpt || '')}</description>
+      <content:encoded>${cdata(content)}</content:encoded>
+    </item>`).join('\n');
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom" xmlns:content="http://purl.org/rss/1.0/modules/content/" xmlns:dc="http://purl.org/dc/elements/1.1/">
+  <channel>
+    <title>${escapeXml(title)}</title>
+    <link>${escapeXml(siteUrl)}/</link>
+    <description>${escapeXml(description)}</description>
+    <language>${escapeXml(language)}</language>
+    <lastBuildDate>${latestDate(items).toUTCString()}</lastBuildDate>
+    <atom:link href="${escapeXml(feedUrl)}" rel="self" type="application/rss+xml"/>
+${itemsXml}
+  </channel>
+</rss>
+`;
+}
+
+function buildAtom(posts, { siteUrl, title, description, feedUrl, language }) {
+  const items = prepareItems(posts, siteUrl);
+
+  const entriesXml = items.map(({ post, url, date, updated, content }) => `  <entry>
+    <title>${escapeXml(post.title)}</title>
+    <link rel="alternate" type="text/html" href="${escapeXml(url)}"/>
+    <id>${escapeXml(url)}</id>
+    <published>${date.toISOString()}</published>
+    <updated>${updated.toISOString()}</updated>
+    <author><name>${escapeXml(post.author)}</name></author>
+${(post.tags || []).map(tag => `    <category term="${escapeXml(tag)}"/>`).join('\n')}
+    <summary type="text">${escapeXml(post.excerpt || '')}</summary>
+    <content type="html">${escapeXml(content)}</content>
+  </entry>`).join('\n');
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<feed xmlns="http://www.w3.org/2005/Atom" xml:lang="${escapeXml(language)}">
+  <title>${escapeXml(title)}</title>
+  <subtitle>${escapeXml(description)}</subtitle>
+  <link rel="alternate" type="text/html" href="${escapeXml(siteUrl)}/"/>
+  <link rel="self" type="application/atom+xml" href="${escapeXml(feedUrl)}"/>
+  <id>${escapeXml(feedUrl)}</id>
+  <updated>${latestDate(items).toISOString()}</updated>
+${entriesXml}
+</feed>
+`;
+}
+
+function buildJsonFeed(posts, { siteUrl, title, description, feedUrl, language }) {
+  const items = prepareItems(posts, siteUrl);
+
+  return {
+    version: 'https://jsonfeed.org/version/1.1',
+    title,
+    description,
+    home_page_url: `${siteUrl}/`,
+    feed_url: feedUrl,
+    language,
+    items: items.map(({ post, url, date, updated, content }) => ({
+      id: url,
+      url,
+      title: post.title,
+      content_html: content,
+      summary: post.excerpt,
+      date_published: date.toISOString(),
+      date_modified: updated.toISOString(),
+      authors: [{ name: post.author }],
+      tags: post.tags || []
+    }))
+  };
+}
+
+module.exports = {
+  buildRss,
+  buildAtom,
+  buildJsonFeed,
+  escapeXml,
+  absolutizeUrls
+};
@@ -0,0 +1,226 @@
+/**
+ * YAML frontmatter parsing and validation
+ * Splits a post file into metadata and markdown, checks the metadata against
+ * FRONTMATTER_SCHEMA and reports problems with the file path and line number
+ *
+ * Posts written for the former `key: value` reader stay readable: a
+ * single-line value that is not valid YAML (`title: Docker : le guide`) is
+ * read as the text after the first colon, with a warning asking to quote it.
+ */
+
+const YAML = require('yaml');
+
+// Declared frontmatter keys
+// type: string | date | boolean | number | tags
+const FRONTMATTER_SCHEMA = {
+  title: { type: 'string', required: true },
+  author: { type: 'string' },
+  date: { type: 'date', required: true },
+  updated: { type: 'date' },
+  tags: { type: 'tags' },
+  excerpt: { type: 'string' },
+  lang: { type: 'string' },
+  draft: { type: 'boolean' },
+  publishAt: { type: 'date' },
+  unlisted: { type: 'boolean' },
+  cover: { type: 'string' },
+  series: { type: 'string' },
+  seriesOrder: { type: 'number' }
+};
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}([T ]\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})?)?$/;
+
+// Whether the date and time parts exist as written: Date rolls 2024-02-30
+// over to March 1st instead of rejecting it
+function isRealDate(text) {
+  const [, year, month, day, hour, minute, second] =
+    /^(\d{4})-(\d{2})-(\d{2})(?:[T ](\d{2}):(\d{2})(?::(\d{2}))?)?/.exec(text).map(part => Number(part || 0));
+  const date = new Date(Date.UTC(year, month - 1, day, hour, minute, second));
+  return date.getUTCFullYear() === year && date.getUTCMonth() === month - 1 && date.getUTCDate() === day &&
+    date.getUTCHours() === hour && date.getUTCMinutes() === minute && date.getUTCSeconds() === second;
+}
+
+// Split raw file content into the frontmatter block and the markdown body
+// Accepts LF and CRLF line endings and an optional UTF-8 BOM
+function splitFrontmatter(content) {
+  const normalized = content.replace(/^\uFEFF/, '').replace(/\r\n?/g, '\n');
+  const match = normalized.match(/^---\n(?:([\s\S]*?)\n)?---[ \t]*(?:\n|$)([\s\S]*)$/);
+
+  if (!match) {
+    return { frontmatter: null, body: normalized };
+  }
+
+  return { frontmatter: match[1] || '', body: match[2] };
+}
+
+// Coerce a single value to its declared type, returning { value } or { error }
+function coerceValue(key, value, type) {
+  switch (type) {
+    case 'string':
+      if (typeof value === 'string') return { value: value.trim() };
+      if (typeof value === 'number') return { value: String(value) };
+      return { error: `"${key}" must be a string` };
+
+    case 'boolean':
+      if (typeof value === 'boolean') return { value };
+      return { error: `"${key}" must be true or false` };
+
+    case 'number':
+      if (typeof value === 'number' && !isNaN(value)) return { value };
+      return { error: `"${key}" must be a number` };
+
+    case 'date': {
+      if (value instanceof Date && !isNaN(value.getTime())) {
+        return { value: value.toISOString() };
+      }
+      const text = typeof value === 'string' ? value.trim() : '';
+      if (DATE_PATTERN.test(text) && isRealDate(text) && !isNaN(new Date(text).getTime())) {
+        return { value: text };
+      }
+      return { error: `"${key}" must be a date (YYYY-MM-DD or ISO 8601)` };
+    }
+
+    case 'tags': {
+      // Lists (flow or block style) and legacy comma-separated strings
+      const items = typeof value === 'string' ? value.split(',') : value;
+      if (!Array.isArray(items)) {
+        return { error: `"${key}" must be a list of strings` };
+      }
+      if (items.some(item => typeof item !== 'string' && typeof item !== 'number')) {
+        return { error: `"${key}" must only contain strings` };
+      }
+      return { value: items.map(item => String(item).trim()).filter(item => item.length > 0) };
+    }
+
+    default:
+      return { value };
+  }
+}
+
+function parseYaml(frontmatter) {
+  const lineCounter = new YAML.LineCounter();
+  const doc = YAML.parseDocument(frontmatter, { lineCounter, schema: 'core' });
+  return { doc, lineCounter };
+}
+
+// Quote the top-level `key: value` lines that are not valid YAML on their
+// own, reading the value like the former parser did (text after the first
+// colon, surrounding quotes removed). Returns the frontmatter and the
+// { index, key } of the quoted lines, index being 0-based.
+function quoteLegacyValues(frontmatter) {
+  const quoted = [];
+  const lines = frontmatter.split('\n').map((line, index) => {
+    const match = /^([A-Za-z_][\w-]*):[ \t]+(\S.*)$/.exec(line);
+    if (!match || YAML.parseDocument(line, { schema: 'core' }).errors.length === 0) return line;
+
+    quoted.push({ index, key: match[1] });
+    return `${match[1]}: ${JSON.stringify(match[2].trim().replace(/^["']|["']$/g, ''))}`;
+  });
+  return { frontmatter: lines.join('\n'), quoted };
+}
+
+// Parse and validate the frontmatter of a post file
+// Returns { metadata, body, errors, warnings }; errors and warnings are
+// { file, line, message } objects where line is 1-based in the original file
+function parseFrontmatter(content, filePath) {
+  const { frontmatter, body } = splitFrontmatter(content);
+  const errors = [];
+  const warnings = [];
+  const metadata = {};
+
+  if (frontmatter === null) {
+    errors.push({ file: filePath, line: 1, message: 'missing frontmatter block' });
+    return { metadata, body, errors, warnings };
+  }
+
+  // The YAML starts on line 2, right after the opening ---
+  let source = frontmatter;
+  let { doc, lineCounter } = parseYaml(source);
+
+  if (doc.errors.length > 0) {
+    const legacy = quoteLegacyValues(frontmatter);
+    const retry = parseYaml(legacy.frontmatter);
+    if (legacy.quoted.length > 0 && retry.doc.errors.length === 0) {
+      ({ doc, lineCounter } = retry);
+      source = legacy.frontmatter;
+      legacy.quoted.forEach(({ index, key }) => warnings.push({
+        file: filePath,
+        line: index + 2,
+        message: `"${key}" is not valid YAML and was read as the text after the first colon; put the value in quotes`
+      }));
+    }
+  }
+  const lineAt = offset => lineCounter.linePos(offset).line + 1;
+
+  if (doc.errors.length > 0) {
+    doc.errors.forEach(error => {
+      errors.push({
+        file: filePath,
+        line: error.linePos ? error.linePos[0].line + 1 : 1,
+        message: error.message.split('\n')[0].replace(/ at line \d+, column \d+:?$/, '')
+      });
+    });
+    return { metadata, body, errors, warnings };
+  }
+
+  if (doc.contents && !YAML.isMap(doc.contents)) {
+    errors.push({ file: filePath, line: 2, message: 'frontmatter must be a key/value mapping' });
+    return { metadata, body, errors, warnings };
+  }
+
+  const lines = {};
+  const pairs = doc.contents ? doc.contents.items : [];
+
+  pairs.forEach(pair => {
+    const key = YAML.isScalar(pair.key) ? String(pair.key.value) : String(pair.key);
+    const line = pair.key && pair.key.range ? lineAt(pair.key.range[0]) : 2;
+    const rule = FRONTMATTER_SCHEMA[key];
+    lines[key] = line;
+
+    if (!rule) {
+      warnings.push({ file: filePath, line, message: `unknown frontmatter key "${key}"` });
+      return;
+    }
+
+    // `title: C# #1 tips` is "C#" followed by a comment
+    const value = pair.value;
+    if (YAML.isScalar(value) && value.type === 'PLAIN' && typeof value.value === 'string' &&
+      source.slice(value.range[1], value.range[2]).includes('#')) {
+      warnings.push({ file: filePath, line, message: `"${key}" stops before " #", the rest of the line is a comment; put the value in quotes to keep it` });
+    }
+
+    const rawValue = value === null ? null : YAML.isNode(value) ? value.toJSON() : value;
+    if (rawValue === null || rawValue === '') {
+      if (rule.required) {
+        errors.push({ file: filePath, line, message: `"${key}" must not be empty` });
+      }
+      return;
+    }
+
+    const result = coerceValue(key, rawValue, rule.type);
+    if (result.error) {
+      errors.push({ file: filePath, line, message: result.error });
+    } else {
+      metadata[key] = result.value;
+    }
+  });
+
+  Object.entries(FRONTMATTER_SCHEMA).forEach(([key, rule]) => {
+    if (rule.required && !(key in lines)) {
+      errors.push({ file: filePath, line: 1, message: `missing required key "${key}"` });
+    }
+  });
+
+  return { metadata, body, errors, warnings };
+}
+
+function formatFrontmatterIssue(issue) {
+  return `${issue.file}:${issue.line}: ${issue.message}`;
+}
+
+module.exports = {
+  FRONTMATTER_SCHEMA,
+  splitFrontmatter,
+  parseFrontmatter,
+  formatFrontmatterIssue
+};
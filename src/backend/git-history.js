@@ -0,0 +1,132 @@
+/**
+ * Git-backed posts directory
+ * When POSTS_DIR is (inside) a git repository, post revisions are read from
+ * its history and changes made through the admin API are committed, so an
+ * overwritten post can always be recovered. Uses the git command line.
+ *
+ * Post paths are relative to the posts directory: "<id>.md" for single-file
+ * posts, "<id>" for directory posts.
+ */
+
+const { execFile } = require('child_process');
+
+// Abbreviated or full commit hashes
+const SHA_PATTERN = /^[0-9a-f]{7,40}$/;
+
+// Large enough for the full log of a blog
+const MAX_OUTPUT = 64 * 1024 * 1024;
+
+// Separators in --format output
+const FIELD = '\x1f';
+const RECORD = '\x1e';
+
+function createGitHistory(dir, { authorName, authorEmail } = {}) {
+  let identity = []; // -c options when the repository has no committer identity
+
+  function git(args, { allowFailure = false } = {}) {
+    return new Promise((resolve, reject) => {
+      // safe.directory: the posts volume is often owned by another user than the server
+      execFile('git', ['-c', `safe.directory=${dir}`, ...identity, ...args], {
+        cwd: dir,
+        maxBuffer: MAX_OUTPUT
+      }, (error, stdout, stderr) => {
+        if (error && !allowFailure) {
+          error.message = `git ${args[0]}: ${(stderr || error.message).trim()}`;
+          return reject(error);
+        }
+        resolve(error ? null : stdout);
+      });
+    });
+  }
+
+  // True when the directory is in a repository with at least one commit
+  async function init() {
+    try {
+      if (await git(['rev-parse', '--verify', '-q', 'HEAD'], { allowFailure: true }) === null) {
+        return false;
+      }
+    } catch {
+      return false; // git is not installed
+    }
+
+    if (!await git(['config', 'user.email'], { allowFailure: true })) {
+      identity = ['-c', `user.name=${authorName || 'blog'}`, '-c', `user.email=${authorEmail || 'blog@localhost'}`];
+    }
+    return true;
+  }
+
+  async function head() {
+    return (await git(['rev-parse', 'HEAD'])).trim();
+  }
+
+  // Date of the last commit touching each post, by post path
+  async function lastCommitDates() {
+    const output = await git(['log', `--format=${RECORD}%cI`, '--name-only', '--relative', '--no-renames', '--', '.']);
+    const dates = new Map();
+
+    output.split(RECORD).filter(Boolean).forEach(record => {
+      const [date, ...files] = record.trim().split('\n');
+      files.filter(Boolean).forEach(file => {
+        const postPath = file.includes('/') ? file.split('/')[0] : file;
+        if (!dates.has(postPath)) dates.set(postPath, date);
+      });
+    });
+    return dates;
+  }
+
+  // Commits touching a post, newest first, with the path of its markdown file
+  // at each of them (single-file posts are followed across renames)
+  async function history(postPath) {
+    const isFile = postPath.endsWith('.md');
+    const args = ['log', `--format=${RECORD}%H${FIELD}%cI${FIELD}%an${FIELD}%s`, '--name-only', '--relative'];
+    const output = await git(isFile ? [...args, '--follow', '--', postPath] : [...args, '--', postPath]);
+
+    return output.split(RECORD).filter(Boolean).map(record => {
+      const [header, ...files] = record.trim().split('\n');
+      const [sha, date, author, message] = header.split(FIELD);
+      const file = isFile ? files.find(Boolean) : `${postPath}/index.md`;
+      return { sha, date, author, message, file };
+    });
+  }
+
+  // Content of a file at a commit, or null when it did not exist there
+  function readFileAt(sha, file) {
+    return git(['show', `${sha}:./${file}`], { allowFailure: true });
+  }
+
+  // Unified diff between two revisions of a post; without `from`, the changes
+  // made to the file by the `to` commit. Empty when a file is missing.
+  async function diffRevisions(from, to) {
+    const output = from ?
+      await git(['diff', '--no-color', `${from.sha}:./${from.file}`, `${to.sha}:./${to.file}`], { allowFailure: true }) :
+      await git(['show', '--no-color', '--format=', to.sha, '--', to.file], { allowFailure: true });
+    return output || '';
+  }
+
+  // Commit the current state of the given post paths, if anything changed
+  async function commitPosts(postPaths, message) {
+    const status = await git(['status', '--porcelain', '-z', '--untracked-files=all', '--', ...postPaths]);
+    // Status paths are relative to the top of the repository
+    const files = status.split('\0').filter(Boolean).map(entry => `:(top)${entry.slice(3)}`);
+    if (files.length === 0) return null;
+
+    await git(['add', '-A', '--', ...files]);
+    await git(['commit', '-q', '-m', message, '--', ...files]);
+    return head();
+  }
+
+  return {
+    init,
+    head,
+    lastCommitDates,
+    history,
+    readFileAt,
+    diffRevisions,
+    commitPosts
+  };
+}
+
+module.exports = {
+  SHA_PATTERN,
+  createGitHistory
+};
@@ -0,0 +1,67 @@
+/**
+ * HTTP caching for API responses
+ * ETags are derived from hashes of the parsed posts a response is built
+ * from, so they survive restarts and a 304 costs no serialization
+ */
+
+const crypto = require('crypto');
+const { getPublishDate } = require('./visibility');
+
+// Clients may store responses but must revalidate them, so live updates and
+// edits show up immediately while unchanged responses cost a 304
+const API_CACHE_CONTROL = 'public, no-cache';
+
+// Post objects are replaced when their file changes, so hashes are computed once
+const postHashes = new WeakMap();
+
+function hash(value) {
+  return crypto.createHash('sha1').update(value).digest('hex');
+}
+
+function hashPost(post) {
+  if (!postHashes.has(post)) {
+    postHashes.set(post, hash(JSON.stringify(post)));
+  }
+  return postHashes.get(post);
+}
+
+// Weak ETag for a response built from `posts`, plus any other inputs
+// (compression may change the bytes, not the meaning)
+function postsEtag(posts, ...extra) {
+  return `W/"${hash(JSON.stringify([posts.map(hashPost), extra])).slice(0, 32)}"`;
+}
+
+// When the content of `posts` last changed, publication included
+function postsLastModified(posts, now = new Date()) {
+  let latest = 0;
+  posts.forEach(post => {
+    const published = getPublishDate(post).getTime();
+    const modified = new Date(post.lastModified).getTime() || 0;
+    latest = Math.max(latest, modified, published <= now.getTime() ? published : 0);
+  });
+  return latest > 0 ? new Date(latest) : null;
+}
+
+// Set validators and caching policy, then answer conditional requests
+// Returns true when a 304 was sent and the response is complete
+function handleConditionalRequest(req, res, { etag, lastModified, cacheControl = API_CACHE_CONTROL }) {
+  res.set('Cache-Control', cacheControl);
+  res.set('ETag', etag);
+  if (lastModified) {
+    res.set('Last-Modified', lastModified.toUTCString());
+  }
+
+  // req.fresh checks If-None-Match and If-Modified-Since against the headers above
+  if (req.fresh) {
+    res.status(304).end();
+    return true;
+  }
+  return false;
+}
+
+module.exports = {
+  hashPost,
+  postsEtag,
+  postsLastModified,
+  handleConditionalRequest
+};
@@ -0,0 +1,220 @@
+/**
+ * Responsive images for post assets
+ * Resizes and converts images on demand (?w=800&format=webp) with a disk
+ * cache, and turns the <img> tags of rendered posts into <picture> elements
+ * with srcset, intrinsic size and lazy loading
+ */
+
+const path = require('path');
+const fs = require('fs').promises;
+const crypto = require('crypto');
+const sharp = require('sharp');
+
+// Only these widths are generated, so the cache cannot be filled with arbitrary sizes
+const IMAGE_WIDTHS = [320, 640, 960, 1280, 1920];
+const FALLBACK_WIDTH = 1280; // <img src> for browsers without srcset support
+const SIZES = '(max-width: 800px) 100vw, 800px'; // .post-full is 800px wide
+const PIPELINE_VERSION = 1; // Bump to regenerate every variant after a settings change
+
+const OUTPUT_FORMATS = {
+  avif: { mimeType: 'image/avif', extension: 'avif', options: { quality: 50 } },
+  webp: { mimeType: 'image/webp', extension: 'webp', options: { quality: 80 } },
+  jpeg: { mimeType: 'image/jpeg', extension: 'jpg', options: { quality: 80, mozjpeg: true } },
+  png: { mimeType: 'image/png', extension: 'png', options: { compressionLevel: 9 } }
+};
+const IMAGE_FORMATS = Object.keys(OUTPUT_FORMATS);
+
+// Generated width for a requested one: the smallest at least as wide,
+// or the largest; null when `width` is not a positive number
+function snapWidth(width) {
+  if (!Number.isFinite(width) || width <= 0) return null;
+  return IMAGE_WIDTHS.find(allowed => allowed >= width) || IMAGE_WIDTHS[IMAGE_WIDTHS.length - 1];
+}
+
+// Raster formats that can be resized; SVG and (animated) GIF are served as-is
+const RESIZABLE_EXTENSIONS = {
+  '.jpg': 'jpeg',
+  '.jpeg': 'jpeg',
+  '.png': 'png',
+  '.webp': 'webp',
+  '.avif': 'avif'
+};
+
+// Variants being generated, so concurrent requests share the work
+const pending = new Map();
+
+// Intrinsic sizes by file path, refreshed when the file changes
+const dimensionsCache = new Map();
+
+function sourceFormat(filePath) {
+  return RESIZABLE_EXTENSIONS[path.extname(filePath).toLowerCase()] || null;
+}
+
+function isResizable(filePath) {
+  return sourceFormat(filePath) !== null;
+}
+
+function getMimeType(format) {
+  return OUTPUT_FORMATS[format].mimeType;
+}
+
+// Return the path of a resized/converted copy of an image, generating it when
+// not cached yet. The cache key includes the source mtime and size, so edited
+// images get new variants.
+async function getImageVariant(sourcePath, { width, format }, { cacheDir }) {
+  const stats = await fs.stat(sourcePath);
+  const outputFormat = format || sourceFormat(sourcePath);
+  const hash = crypto.createHash('sha1')
+    .update(JSON.stringify([PIPELINE_VERSION, sourcePath, stats.mtimeMs, stats.size, width, outputFormat]))
+    .digest('hex');
+  const filePath = path.join(cacheDir, `${hash}.${OUTPUT_FORMATS[outputFormat].extension}`);
+
+  try {
+    await fs.access(filePath);
+    return { filePath, format: outputFormat };
+  } catch {
+    // Not cached yet
+  }
+
+  if (!pending.has(filePath)) {
+    pending.set(filePath, (async () => {
+      try {
+        await fs.mkdir(cacheDir, { recursive: true });
+
+        // rotate() applies the EXIF orientation of phone photos before it is stripped
+        let pipeline = sharp(sourcePath).rotate();
+        if (width) {
+          pipeline = pipeline.resize({ width, withoutEnlargement: true });
+        }
+        const buffer = await pipeline.toFormat(outputFormat, OUTPUT_FORMATS[outputFormat].options).toBuffer();
+
+        // Write to a temporary file first so a partial image is never served
+        const tempPath = `${filePath}.${process.pid}.tmp`;
+        await fs.writeFile(tempPath, buffer);
+        await fs.rename(tempPath, filePath);
+      } finally {
+        pending.delete(filePath);
+      }
+    })());
+  }
+
+  await pending.get(filePath);
+  return { filePath, format: outputFormat };
+}
+
+// Displayed width and height of an image, or null when it cannot be read
+async function getImageDimensions(filePath) {
+  try {
+    const stats = await fs.stat(filePath);
+    const cached = dimensionsCache.get(filePath);
+    if (cached && cached.mtimeMs === stats.mtimeMs) {
+      return cached.dimensions;
+    }
+
+    const metadata = await sharp(filePath).metadata();
+    if (!metadata.width || !metadata.height) return null;
+
+    // EXIF orientations 5-8 are rotated by 90°, so width and height swap
+    const rotated = metadata.orientation >= 5;
+    const dimensions = {
+      width: rotated ? metadata.height : metadata.width,
+      height: rotated ? metadata.width : metadata.height
+    };
+
+    dimensionsCache.set(filePath, { mtimeMs: stats.mtimeMs, dimensions });
+    return dimensions;
+  } catch {
+    return null;
+  }
+}
+
+function parseAttributes(tag) {
+  const attributes = new Map();
+  const pattern = /\s([a-zA-Z-]+)(?:="([^"]*)")?/g;
+  let match;
+  while ((match = pattern.exec(tag)) !== null) {
+    attributes.set(match[1].toLowerCase(), match[2] !== undefined ? match[2] : '');
+  }
+  return attributes;
+}
+
+function buildTag(name, attributes) {
+  const html = [...attributes].map(([key, value]) => ` ${key}="${value}"`).join('');
+  return `<${name}${html}>`;
+}
+
+// URL of a variant, escaped for use in an HTML attribute
+function variantUrl(src, width, format) {
+  const params = [];
+  if (width) params.push(`w=${width}`);
+  if (format) params.push(`format=${format}`);
+  if (params.length === 0) return src;
+  return `${src}${src.includes('?') ? '&amp;' : '?'}${params.join('&amp;')}`;
+}
+
+// srcset over the generated widths, plus the original size (no w= parameter)
+function buildSrcset(src, widths, originalWidth, format) {
+  return [
+    ...widths.map(width => `${variantUrl(src, width, format)} ${width}w`),
+    `${variantUrl(src, null, format)} ${originalWidth}w`
+  ].join(', ');
+}
+
+async function enhanceImage(tag, resolveAsset) {
+  const attributes = parseAttributes(tag);
+  if (!attributes.has('loading')) attributes.set('loading', 'lazy');
+  if (!attributes.has('decoding')) attributes.set('decoding', 'async');
+
+  const src = attributes.get('src');
+  const filePath = src ? resolveAsset(src) : null;
+  const dimensions = filePath ? await getImageDimensions(filePath) : null;
+  if (!dimensions) {
+    return buildTag('img', attributes);
+  }
+
+  // Intrinsic size lets the browser reserve space before the image loads
+  attributes.set('width', String(dimensions.width));
+  attributes.set('height', String(dimensions.height));
+
+  const widths = IMAGE_WIDTHS.filter(width => width < dimensions.width);
+  if (!isResizable(filePath) || widths.length === 0) {
+    return buildTag('img', attributes);
+  }
+
+  const fallbackWidth = widths.filter(width => width <= FALLBACK_WIDTH).pop();
+  attributes.set('src', variantUrl(src, fallbackWidth, null));
+  attributes.set('srcset', buildSrcset(src, widths, dimensions.width, null));
+  attributes.set('sizes', SIZES);
+
+  // Modern formats first; the browser picks the first type it supports
+  const sources = ['avif', 'webp']
+    .filter(format => format !== sourceFormat(filePath))
+    .map(format => buildTag('source', new Map([
+      ['type', getMimeType(format)],
+      ['srcset', buildSrcset(src, widths, dimensions.width, format)],
+      ['sizes', SIZES]
+    ])));
+
+  return `<picture>${sources.join('')}${buildTag('img', attributes)}</picture>`;
+}
+
+// Rewrite the <img> tags of rendered post HTML
+// resolveAsset(src) returns the file path of a local post asset, or null
+async function enhanceImages(html, resolveAsset) {
+  const tags = [...new Set(html.match(/<img\b[^>]*>/gi) || [])];
+  const replacements = new Map(await Promise.all(
+    tags.map(async tag => [tag, await enhanceImage(tag, resolveAsset)])
+  ));
+
+  return html.replace(/<img\b[^>]*>/gi, tag => replacements.get(tag));
+}
+
+module.exports = {
+  IMAGE_WIDTHS,
+  IMAGE_FORMATS,
+  snapWidth,
+  isResizable,
+  getMimeType,
+  getImageVariant,
+  enhanceImages
+};
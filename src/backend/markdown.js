@@ -0,0 +1,174 @@
+/**
+ * Markdown extensions for marked
+ * - GitHub-style callouts: blockquotes starting with [!NOTE], [!TIP],
+ *   [!IMPORTANT], [!WARNING] or [!CAUTION]
+ * - Footnotes: [^label] references and "[^label]: text" definitions,
+ *   numbered in order of reference and listed at the end of the document
+ * - Heading ids slugged from their text, with an anchor link
+ *
+ * The table of contents is read back from the heading ids of the output,
+ * so it also works on cached or sanitized HTML.
+ */
+
+const { slugify } = require('./urls');
+const { stripHtml } = require('./search');
+
+const CALLOUT_TITLES = {
+  note: 'Note',
+  tip: 'Astuce',
+  important: 'Important',
+  warning: 'Avertissement',
+  caution: 'Attention'
+};
+
+// Ids of the pages posts are shown in (blog and admin preview), which
+// headings must not take, and the prefixes of footnote ids
+const RESERVED_IDS = new Set([
+  'initial-state', 'blog-posts', 'comments', 'back-to-posts', 'new-post-banner', 'search-input',
+  'search-clear', 'clear-search-button', 'clear-filter-button', 'loading-indicator', 'loading-sentinel',
+  'end-indicator', 'error-modal', 'error-message', 'modal-close', 'scroll-top', 'version-info',
+  'admin-form', 'admin-content', 'admin-preview', 'admin-status', 'admin-posts', 'admin-comments',
+  'admin-comment-list', 'admin-comments-status', 'admin-moderate', 'admin-new', 'admin-pending',
+  'admin-save', 'admin-view'
+]);
+const RESERVED_PREFIX = /^fn(ref)?-/;
+
+// State of the document being rendered; marked renders synchronously, from
+// the preprocess hook to the postprocess hook
+let documentState = null;
+
+function uniqueId(slug) {
+  const base = RESERVED_IDS.has(slug) || RESERVED_PREFIX.test(slug) ? `section-${slug}` : slug;
+  let id = base;
+  for (let index = 1; documentState.ids.has(id); index++) {
+    id = `${base}-${index}`;
+  }
+  documentState.ids.add(id);
+  return id;
+}
+
+const footnoteDefinition = {
+  name: 'footnoteDefinition',
+  level: 'block',
+  start(src) {
+    const match = src.match(/^\[\^[^\]\s]+\]:/m);
+    return match ? match.index : undefined;
+  },
+  // Continuation lines are indented
+  tokenizer(src) {
+    const match = /^\[\^([^\]\s]+)\]:[ \t]*([^\n]*(?:\n(?: {2,}|\t)[^\n]*)*)(?:\n+|$)/.exec(src);
+    if (!match) return undefined;
+
+    documentState.labels.add(match[1]);
+    const token = {
+      type: 'footnoteDefinition',
+      raw: match[0],
+      label: match[1],
+      text: match[2].replace(/\n(?: {2,}|\t)/g, '\n').trim(),
+      tokens: []
+    };
+    this.lexer.inline(token.text, token.tokens);
+    return token;
+  },
+  // Listed by the postprocess hook, once every reference is numbered
+  renderer(token) {
+    if (!documentState.definitions.has(token.label)) {
+      documentState.definitions.set(token.label, this.parser.parseInline(token.tokens));
+    }
+    return '';
+  }
+};
+
+const footnoteReference = {
+  name: 'footnoteReference',
+  level: 'inline',
+  start(src) {
+    const index = src.indexOf('[^');
+    return index === -1 ? undefined : index;
+  },
+  // References to undefined footnotes stay as text
+  tokenizer(src) {
+    const match = /^\[\^([^\]\s]+)\]/.exec(src);
+    if (!match || !documentState.labels.has(match[1])) return undefined;
+    return { type: 'footnoteReference', raw: match[0], label: match[1] };
+  },
+  renderer(token) {
+    const { footnotes } = documentState;
+    if (!footnotes.has(token.label)) {
+      const number = footnotes.size + 1;
+      footnotes.set(token.label, { number, id: slugify(token.label) || String(number), references: 0 });
+    }
+
+    const footnote = footnotes.get(token.label);
+    footnote.references++;
+    const referenceId = `fnref-${footnote.id}${footnote.references > 1 ? `-${footnote.references}` : ''}`;
+    return `<sup class="footnote-ref"><a href="#fn-${footnote.id}" id="${referenceId}">${footnote.number}</a></sup>`;
+  }
+};
+
+function renderFootnotes() {
+  const items = [...documentState.footnotes]
+    .filter(([label]) => documentState.definitions.has(label))
+    .map(([label, footnote]) =>
+      `<li id="fn-${footnote.id}">${documentState.definitions.get(label)} <a class="footnote-backref" href="#fnref-${footnote.id}" title="Retour au texte">↩</a></li>`
+    );
+
+  return items.length > 0 ? `<section class="footnotes">\n<hr>\n<ol>\n${items.join('\n')}\n</ol>\n</section>\n` : '';
+}
+
+const markdownExtensions = {
+  extensions: [footnoteDefinition, footnoteReference],
+  renderer: {
+    // The anchor has no text, so it stays out of excerpts and search
+    heading(text, level) {
+      const id = uniqueId(slugify(stripHtml(text)) || 'section');
+      return `<h${level} id="${id}">${text}<a class="heading-anchor" href="#${id}" title="Lien vers cette section"></a></h${level}>\n`;
+    },
+
+    blockquote(quote) {
+      const match = /^<p>\[!(NOTE|TIP|IMPORTANT|WARNING|CAUTION)\][ \t]*(?:<br>\n?|\n)?/i.exec(quote);
+      if (!match) return false; // Regular blockquote
+
+      // The marker may be alone in its paragraph, or start the first one
+      const rest = quote.slice(match[0].length);
+      const body = rest.startsWith('</p>') ? rest.slice(4).replace(/^\n/, '') : `<p>${rest}`;
+      const type = match[1].toLowerCase();
+      return `<div class="callout callout-${type}">\n<p class="callout-title">${CALLOUT_TITLES[type]}</p>\n${body}</div>\n`;
+    }
+  },
+  hooks: {
+    preprocess(markdown) {
+      documentState = { ids: new Set(), labels: new Set(), definitions: new Map(), footnotes: new Map() };
+      return markdown;
+    },
+    postprocess(html) {
+      const footnotes = renderFootnotes();
+      documentState = null;
+      return html + footnotes;
+    }
+  }
+};
+
+// Headings of rendered HTML that have an id, nested by level:
+// [{ id, text, level, children: [...] }]
+function buildToc(html) {
+  const toc = [];
+  const parents = [];
+  const pattern = /<h([1-4]) id="([^"]+)">([\s\S]*?)<\/h\1>/g;
+  let match;
+
+  while ((match = pattern.exec(html)) !== null) {
+    const entry = { id: match[2], text: stripHtml(match[3]), level: Number(match[1]), children: [] };
+    while (parents.length > 0 && parents[parents.length - 1].level >= entry.level) {
+      parents.pop();
+    }
+    (parents.length > 0 ? parents[parents.length - 1].children : toc).push(entry);
+    parents.push(entry);
+  }
+  return toc;
+}
+
+module.exports = {
+  markdownExtensions,
+  buildToc
+};
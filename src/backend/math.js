@@ -0,0 +1,84 @@
+/**
+ * Math in posts, rendered with KaTeX on the server
+ * - Display math: $$...$$, on its own lines or inside a paragraph
+ * - Inline math: $...$, with no space just inside the dollars and no digit
+ *   right after the closing one, so "5$ et 10$" stays text
+ *
+ * marked only emits placeholders holding the TeX source; they go through
+ * the HTML sanitizer like the rest of the post, and renderMath() replaces
+ * them with the KaTeX markup afterwards. The KaTeX stylesheet and fonts are
+ * served by the blog itself (/katex/).
+ */
+
+const katex = require('katex');
+const { decodeEntities } = require('./search');
+
+function escapeHtml(text) {
+  return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+const mathBlock = {
+  name: 'mathBlock',
+  level: 'block',
+  start(src) {
+    const match = src.match(/^\$\$/m);
+    return match ? match.index : undefined;
+  },
+  tokenizer(src) {
+    const match = /^\$\$([\s\S]+?)\$\$[ \t]*(?:\n+|$)/.exec(src);
+    if (!match) return undefined;
+    return { type: 'mathBlock', raw: match[0], text: match[1].trim() };
+  },
+  renderer(token) {
+    return `<div class="math-display">${escapeHtml(token.text)}</div>\n`;
+  }
+};
+
+const mathInline = {
+  name: 'mathInline',
+  level: 'inline',
+  start(src) {
+    const index = src.indexOf('$');
+    return index === -1 ? undefined : index;
+  },
+  tokenizer(src) {
+    const display = /^\$\$((?:\\.|[^\\$])+?)\$\$/.exec(src);
+    if (display) {
+      return { type: 'mathInline', raw: display[0], text: display[1].trim(), displayMode: true };
+    }
+
+    const match = /^\$(?![\s$])((?:\\.|[^\\$\n])+?)(?<!\s)\$(?!\d)/.exec(src);
+    if (!match) return undefined;
+    return { type: 'mathInline', raw: match[0], text: match[1], displayMode: false };
+  },
+  renderer(token) {
+    return token.displayMode ?
+      `<span class="math-display">${escapeHtml(token.text)}</span>` :
+      `<span class="math-inline">${escapeHtml(token.text)}</span>`;
+  }
+};
+
+const mathExtensions = {
+  extensions: [mathBlock, mathInline]
+};
+
+// Replace the math placeholders of sanitized HTML with KaTeX markup.
+// Invalid TeX is shown in red with its error as title, instead of failing
+// the whole post; \href, \url and \includegraphics stay disabled (trust: false).
+function renderMath(html) {
+  return html.replace(/<(span|div) class="math-(inline|display)">([^<]*)<\/\1>/g, (match, tag, mode, tex) => {
+    const displayMode = mode === 'display';
+    const rendered = katex.renderToString(decodeEntities(tex), {
+      displayMode,
+      throwOnError: false,
+      trust: false,
+      output: 'htmlAndMathml'
+    });
+    return displayMode ? `<${tag} class="math-display">${rendered}</${tag}>` : rendered;
+  });
+}
+
+module.exports = {
+  mathExtensions,
+  renderMath
+};
@@ -0,0 +1,172 @@
+/**
+ * Open Graph image generation
+ * Renders a 1200x630 PNG social card per post (title, tags, date) with the
+ * blog's condensed mono font on background.png, cached on disk
+ */
+
+const path = require('path');
+const fs = require('fs').promises;
+const fsSync = require('fs');
+const crypto = require('crypto');
+const { Resvg } = require('@resvg/resvg-js');
+
+const WIDTH = 1200;
+const HEIGHT = 630;
+const PADDING = 80;
+const FONT_PATH = path.join(__dirname, '../frontend/font-condensed-mono.otf');
+const FONT_FAMILY = 'Iki Mono Condensed';
+const FONT_ADVANCE = 0.51; // Glyph advance of the monospace font, in em
+const RENDERER_VERSION = 1; // Bump to regenerate every card after a design change
+
+const backgroundDataUri = `data:image/png;base64,${
+  fsSync.readFileSync(path.join(__dirname, '../frontend/background.png')).toString('base64')
+}`;
+
+// Cards being rendered, so concurrent requests share the work
+const pending = new Map();
+
+function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+// Wrap text on word boundaries to fit a monospace line length
+function wrapText(text, maxChars, maxLines) {
+  const lines = [];
+  let current = '';
+
+  text.split(/\s+/).filter(Boolean).forEach(word => {
+    const candidate = current ? `${current} ${word}` : word;
+    if (candidate.length <= maxChars) {
+      current = candidate;
+    } else {
+      if (current) lines.push(current);
+      current = word.length > maxChars ? word.slice(0, maxChars - 1) + '…' : word;
+    }
+  });
+  if (current) lines.push(current);
+
+  if (lines.length > maxLines) {
+    const kept = lines.slice(0, maxLines);
+    const last = kept[maxLines - 1];
+    kept[maxLines - 1] = (last.length >= maxChars ? last.slice(0, maxChars - 1) : last) + '…';
+    return kept;
+  }
+
+  return lines;
+}
+
+function formatDate(dateString) {
+  return new Date(dateString).toLocaleDateString('fr-FR', {
+    year: 'numeric',
+    month: 'long',
+    day: 'numeric'
+  });
+}
+
+function buildCardSvg(post, siteTitle) {
+  const availableWidth = WIDTH - PADDING * 2;
+
+  // Shrink the title font for long titles
+  const titleSize = post.title.length > 60 ? 64 : 80;
+  const titleLines = wrapText(post.title, Math.floor(availableWidth / (titleSize * FONT_ADVANCE)), 3);
+  const titleLineHeight = titleSize * 1.1;
+  const titleTop = HEIGHT / 2 - (titleLines.length * titleLineHeight) / 2 + titleSize * 0.8;
+
+  const tagsSize = 32;
+  const tagsLine = wrapText(
+    (post.tags || []).map(tag => `#${tag}`).join(' '),
+    Math.floor(availableWidth / (tagsSize * FONT_ADVANCE)),
+    1
+  )[0] || '';
+
+  return `<svg xmlns="http://www.w3.org/2000/svg" xmlns:xlink="http://www.w3.org/1999/xlink" width="${WIDTH}" height="${HEIGHT}" viewBox="0 0 ${WIDTH} ${HEIGHT}">
+  <image href="${backgroundDataUri}" x="0" y="0" width="${WIDTH}" height="${HEIGHT}" preserveAspectRatio="xMidYMid slice"/>
+  <rect x="0" y="0" width="${WIDTH}" height="${HEIGHT}" fill="#0d0d0d" fill-opacity="0.72"/>
+  <rect x="24" y="24" width="${WIDTH - 48}" height="${HEIGHT - 48}" fill="none" stroke="#e8e8e8" stroke-opacity="0.35" stroke-width="2"/>
+  <g font-family="${FONT_FAMILY}" fill="#e8e8e8">
+    <text x="${PADDING}" y="${PADDING + 24}" font-size="36" fill-opacity="0.8">[${escapeXml(siteTitle)}]</text>
+    ${titleLines.map((line, index) =>
+      `<text x="${PADDING}" y="${Math.round(titleTop + index * titleLineHeight)}" font-size="${titleSize}">${escapeXml(line)}</text>`
+    ).join('\n    ')}
+    <text x="${PADDING}" y="${HEIGHT - PADDING - 48}" font-size="${tagsSize}" fill="#b0b0b0">${escapeXml(tagsLine)}</text>
+    <text x="${PADDING}" y="${HEIGHT - PADDING}" font-size="${tagsSize}" fill="#808080">${escapeXml(formatDate(post.date))}</text>
+  </g>
+</svg>`;
+}
+
+function renderCard(post, siteTitle) {
+  const resvg = new Resvg(buildCardSvg(post, siteTitle), {
+    fitTo: { mode: 'width', value: WIDTH },
+    font: {
+      fontFiles: [FONT_PATH],
+      loadSystemFonts: false,
+      defaultFontFamily: FONT_FAMILY
+    }
+  });
+
+  return resvg.render().asPng();
+}
+
+// Cached file name changes with everything drawn on the card
+function cardFileName(post, siteTitle) {
+  const hash = crypto.createHash('sha1')
+    .update(JSON.stringify([RENDERER_VERSION, siteTitle, post.title, post.tags, post.date]))
+    .digest('hex')
+    .slice(0, 12);
+
+  return `${post.id}-${hash}.png`;
+}
+
+// Return the path of the post's card, rendering it when not cached yet
+async function getOgImage(post, { cacheDir, siteTitle }) {
+  const filePath = path.join(cacheDir, cardFileName(post, siteTitle));
+
+  try {
+    await fs.access(filePath);
+    return filePath;
+  } catch {
+    // Not cached yet
+  }
+
+  if (!pending.has(filePath)) {
+    pending.set(filePath, (async () => {
+      try {
+        await fs.mkdir(cacheDir, { recursive: true });
+        const png = renderCard(post, siteTitle);
+
+        // Write to a temporary file first so a partial card is never served
+        const tempPath = `${filePath}.${process.pid}.tmp`;
+        await fs.writeFile(tempPath, png);
+        await fs.rename(tempPath, filePath);
+        return filePath;
+      } finally {
+        pending.delete(filePath);
+      }
+    })());
+  }
+
+  return pending.get(filePath);
+}
+
+// Remove every cached card of a post
+async function invalidateOgImage(postId, cacheDir) {
+  try {
+    const files = await fs.readdir(cacheDir);
+    await Promise.all(files
+      .filter(file => file.startsWith(`${postId}-`) && /^[0-9a-f]{12}\.png$/.test(file.slice(postId.length + 1)))
+      .map(file => fs.unlink(path.join(cacheDir, file)).catch(() => {})));
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      console.warn(`⚠️  Could not invalidate OG image for ${postId}:`, error.message);
+    }
+  }
+}
+
+module.exports = {
+  getOgImage,
+  invalidateOgImage
+};
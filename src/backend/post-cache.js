@@ -0,0 +1,98 @@
+/**
+ * Persistent cache of parsed posts
+ * Entries are keyed by post file and validated by mtime and size, then by a
+ * hash of the file content, so restarts and touched-but-unchanged files skip
+ * markdown rendering entirely. The latest mtime of the post assets must match
+ * too, since images give the rendered post their dimensions.
+ */
+
+const path = require('path');
+const fs = require('fs').promises;
+const crypto = require('crypto');
+
+function hashContent(content) {
+  return crypto.createHash('sha256').update(content).digest('hex');
+}
+
+// filePath: JSON file holding the cache
+// version: anything that changes the parsed output besides the file content
+// (parser version, site settings); a different version discards the cache
+function createPostCache(filePath, version) {
+  const versionKey = JSON.stringify(version);
+  let entries = new Map();
+  let dirty = false;
+
+  async function load() {
+    try {
+      const data = JSON.parse(await fs.readFile(filePath, 'utf-8'));
+      if (data.version === versionKey) {
+        entries = new Map(Object.entries(data.entries));
+      }
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.warn(`⚠️  Ignoring unreadable post cache ${filePath}:`, error.message);
+      }
+    }
+  }
+
+  // Cached post when the file was not modified since it was parsed; posts
+  // including other files are checked by hash, since those may have changed
+  function get(key, stats, assetsModified) {
+    const entry = entries.get(key);
+    if (entry && !entry.hasIncludes && entry.mtimeMs === stats.mtimeMs && entry.size === stats.size &&
+      entry.assetsModified === assetsModified) {
+      return entry.post;
+    }
+    return null;
+  }
+
+  // Cached post when the file was touched but its content and assets are the same
+  function getByHash(key, hash, stats, assetsModified) {
+    const entry = entries.get(key);
+    if (!entry || entry.hash !== hash || entry.assetsModified !== assetsModified) return null;
+
+    entry.mtimeMs = stats.mtimeMs;
+    entry.size = stats.size;
+    entry.post = { ...entry.post, lastModified: stats.mtime.toISOString() };
+    dirty = true;
+    return entry.post;
+  }
+
+  function set(key, { stats, assetsModified, hash, post, hasIncludes = false }) {
+    entries.set(key, { mtimeMs: stats.mtimeMs, size: stats.size, assetsModified, hash, post, hasIncludes });
+    dirty = true;
+  }
+
+  function remove(key) {
+    if (entries.delete(key)) dirty = true;
+  }
+
+  // Drop entries of files that no longer exist
+  function prune(keys) {
+    const existing = new Set(keys);
+    [...entries.keys()].filter(key => !existing.has(key)).forEach(remove);
+  }
+
+  async function save() {
+    if (!dirty) return;
+    dirty = false;
+
+    try {
+      await fs.mkdir(path.dirname(filePath), { recursive: true });
+
+      // Write to a temporary file first so a partial cache is never loaded
+      const tempPath = `${filePath}.${process.pid}.tmp`;
+      await fs.writeFile(tempPath, JSON.stringify({ version: versionKey, entries: Object.fromEntries(entries) }));
+      await fs.rename(tempPath, filePath);
+    } catch (error) {
+      console.warn(`⚠️  Could not save post cache ${filePath}:`, error.message);
+    }
+  }
+
+  return { load, get, getByHash, set, remove, prune, save };
+}
+
+module.exports = {
+  hashContent,
+  createPostCache
+};
@@ -0,0 +1,270 @@
+/**
+ * Post files written by the admin API
+ * Creates, updates, renames and deletes posts and their assets in the posts
+ * directory. Every file is written to a temporary name first and renamed into
+ * place, so the watcher never reads a partial post.
+ *
+ * Failures are thrown as errors with a code, like fs errors: ENOENT (no such
+ * post or asset), EEXIST (name already taken) or EINVAL (invalid input, with
+ * the frontmatter problems in `issues`).
+ */
+
+const path = require('path');
+const fs = require('fs').promises;
+const YAML = require('yaml');
+const { FRONTMATTER_SCHEMA, parseFrontmatter } = require('./frontmatter');
+
+// Lowercase words separated by dashes, like slugify() output
+const POST_ID_PATTERN = /^[a-z0-9]+(?:-[a-z0-9]+)*$/;
+
+function storeError(code, message, issues) {
+  const error = new Error(message);
+  error.code = code;
+  if (issues) error.issues = issues;
+  return error;
+}
+
+async function exists(filePath) {
+  try {
+    await fs.access(filePath);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+// Temporary files do not end in .md, so they are never mistaken for posts
+async function writeFileAtomic(filePath, content) {
+  await fs.mkdir(path.dirname(filePath), { recursive: true });
+  const tempPath = path.join(path.dirname(filePath), `.${path.basename(filePath)}.${process.pid}.tmp`);
+  try {
+    await fs.writeFile(tempPath, content);
+    await fs.rename(tempPath, filePath);
+  } catch (error) {
+    await fs.unlink(tempPath).catch(() => {});
+    throw error;
+  }
+}
+
+function validatePostId(id) {
+  if (typeof id !== 'string' || !POST_ID_PATTERN.test(id)) {
+    throw storeError('EINVAL', 'Post id must be lowercase letters, digits and dashes');
+  }
+}
+
+// Asset path relative to the post directory; markdown and hidden files are
+// refused, since they would be read as posts or skipped
+function validateAssetPath(assetPath) {
+  const segments = typeof assetPath === 'string' ? assetPath.split('/') : [];
+  if (segments.length === 0 || segments.some(segment => !segment || segment.startsWith('.') || segment.includes('\\'))) {
+    throw storeError('EINVAL', 'Invalid asset path');
+  }
+  if (assetPath.toLowerCase().endsWith('.md')) {
+    throw storeError('EINVAL', 'Markdown files cannot be uploaded as assets');
+  }
+}
+
+// Post file with YAML frontmatter, keys in schema order
+function serializePost(frontmatter, content) {
+  const unknownKeys = Object.keys(frontmatter).filter(key => !FRONTMATTER_SCHEMA[key]);
+  if (unknownKeys.length > 0) {
+    throw storeError('EINVAL', `Unknown frontmatter keys: ${unknownKeys.join(', ')}`);
+  }
+
+  const ordered = {};
+  Object.keys(FRONTMATTER_SCHEMA).forEach(key => {
+    const value = frontmatter[key];
+    if (value !== undefined && value !== null && value !== '') ordered[key] = value;
+  });
+
+  const doc = new YAML.Document(ordered);
+  const tags = doc.get('tags', true);
+  if (YAML.isSeq(tags)) tags.flow = true;
+
+  const body = content.replace(/\r\n?/g, '\n');
+  return `---\n${doc.toString({ flowCollectionPadding: false })}---\n${body.endsWith('\n') || !body ? body : `${body}\n`}`;
+}
+
+function createPostStore(postsDir) {
+  // Existing file of a post: <id>/index.md, or <id>.md for single-file posts
+  async function locatePost(id) {
+    if (typeof id !== 'string' || !id || id.includes('/') || id.includes('\\') || id.startsWith('.')) {
+      return null;
+    }
+
+    const directory = path.join(postsDir, id);
+    const indexPath = path.join(directory, 'index.md');
+    if (await exists(indexPath)) {
+      return { id, filePath: indexPath, directory, isDirectoryPost: true };
+    }
+
+    const filePath = path.join(postsDir, `${id}.md`);
+    if (await exists(filePath)) {
+      return { id, filePath, directory, isDirectoryPost: false };
+    }
+    return null;
+  }
+
+  async function requirePost(id) {
+    const location = await locatePost(id);
+    if (!location) throw storeError('ENOENT', 'Post not found');
+    return location;
+  }
+
+  // Serialize and check the post like the parser will, before anything is written
+  function buildPostFile(id, { frontmatter, content }) {
+    if (!frontmatter || typeof frontmatter !== 'object' || Array.isArray(frontmatter)) {
+      throw storeError('EINVAL', '"frontmatter" must be an object');
+    }
+    if (typeof content !== 'string') {
+      throw storeError('EINVAL', '"content" must be a string');
+    }
+
+    const file = serializePost(frontmatter, content);
+    const { errors } = parseFrontmatter(file, `${id}.md`);
+    if (errors.length > 0) {
+      throw storeError('EINVAL', 'Invalid frontmatter', errors.map(error => error.message));
+    }
+    return file;
+  }
+
+  async function listAssets(location) {
+    if (!location.isDirectoryPost) return [];
+
+    const assets = [];
+    async function walk(directory, prefix) {
+      const entries = await fs.readdir(directory, { withFileTypes: true });
+      for (const entry of entries) {
+        if (entry.name.startsWith('.')) continue;
+        const relativePath = prefix ? `${prefix}/${entry.name}` : entry.name;
+        if (entry.isDirectory()) {
+          await walk(path.join(directory, entry.name), relativePath);
+        } else if (entry.isFile() && !entry.name.endsWith('.md')) {
+          const stats = await fs.stat(path.join(directory, entry.name));
+          assets.push({ path: relativePath, size: stats.size, lastModified: stats.mtime.toISOString() });
+        }
+      }
+    }
+    await walk(location.directory, '');
+    return assets.sort((a, b) => a.path.localeCompare(b.path));
+  }
+
+  // Source of a post as written on disk
+  async function readPost(id) {
+    const location = await requirePost(id);
+    const raw = await fs.readFile(location.filePath, 'utf-8');
+    const { metadata, body, errors } = parseFrontmatter(raw, location.filePath);
+
+    return {
+      id,
+      isDirectoryPost: location.isDirectoryPost,
+      frontmatter: metadata,
+      content: body,
+      issues: errors.map(error => error.message),
+      assets: await listAssets(location)
+    };
+  }
+
+  // New posts are directories, so assets can be added next to index.md
+  async function createPost(id, post) {
+    validatePostId(id);
+    const file = buildPostFile(id, post);
+
+    if (await locatePost(id) || await exists(path.join(postsDir, id))) {
+      throw storeError('EEXIST', 'A post with this id already exists');
+    }
+
+    await writeFileAtomic(path.join(postsDir, id, 'index.md'), file);
+  }
+
+  async function updatePost(id, post) {
+    const location = await requirePost(id);
+    await writeFileAtomic(location.filePath, buildPostFile(id, post));
+  }
+
+  async function renamePost(id, newId) {
+    validatePostId(newId);
+    const location = await requirePost(id);
+
+    const target = location.isDirectoryPost ? path.join(postsDir, newId) : path.join(postsDir, `${newId}.md`);
+    if (await locatePost(newId) || await exists(target)) {
+      throw storeError('EEXIST', 'A post with this id already exists');
+    }
+
+    await fs.rename(location.isDirectoryPost ? location.directory : location.filePath, target);
+  }
+
+  async function deletePost(id) {
+    const location = await requirePost(id);
+    if (location.isDirectoryPost) {
+      await fs.rm(location.directory, { recursive: true, force: true });
+    } else {
+      await fs.unlink(location.filePath);
+    }
+  }
+
+  // Single-file posts become directory posts when their first asset is added
+  async function toDirectoryPost(location) {
+    if (location.isDirectoryPost) return location;
+
+    if (await exists(location.directory)) {
+      throw storeError('EEXIST', `${location.id}/ already exists next to ${location.id}.md`);
+    }
+    const indexPath = path.join(location.directory, 'index.md');
+    await fs.mkdir(location.directory);
+    await fs.rename(location.filePath, indexPath);
+    return { ...location, filePath: indexPath, isDirectoryPost: true };
+  }
+
+  async function writeAsset(id, assetPath, data) {
+    validateAssetPath(assetPath);
+    const location = await toDirectoryPost(await requirePost(id));
+    await writeFileAtomic(path.join(location.directory, assetPath), data);
+  }
+
+  async function requireAsset(id, assetPath) {
+    validateAssetPath(assetPath);
+    const location = await requirePost(id);
+    const filePath = path.join(location.directory, assetPath);
+    if (!location.isDirectoryPost || !await exists(filePath)) {
+      throw storeError('ENOENT', 'Asset not found');
+    }
+    return { location, filePath };
+  }
+
+  async function renameAsset(id, assetPath, newPath) {
+    const { location, filePath } = await requireAsset(id, assetPath);
+    validateAssetPath(newPath);
+
+    const target = path.join(location.directory, newPath);
+    if (await exists(target)) {
+      throw storeError('EEXIST', 'An asset with this name already exists');
+    }
+    await fs.mkdir(path.dirname(target), { recursive: true });
+    await fs.rename(filePath, target);
+  }
+
+  async function deleteAsset(id, assetPath) {
+    const { filePath } = await requireAsset(id, assetPath);
+    await fs.unlink(filePath);
+  }
+
+  return {
+    locatePost,
+    readPost,
+    createPost,
+    updatePost,
+    renamePost,
+    deletePost,
+    listAssets: async id => listAssets(await requirePost(id)),
+    writeAsset,
+    renameAsset,
+    deleteAsset
+  };
+}
+
+module.exports = {
+  POST_ID_PATTERN,
+  serializePost,
+  createPostStore
+};
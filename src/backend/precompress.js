@@ -0,0 +1,136 @@
+/**
+ * Precompressed responses
+ * Brotli and gzip encodings of rendered posts are produced once, kept in
+ * memory and on disk, and reused until the post or the renderer changes,
+ * instead of compression() encoding the same output on every request
+ */
+
+const path = require('path');
+const fs = require('fs').promises;
+const zlib = require('zlib');
+const { promisify } = require('util');
+
+const brotliCompress = promisify(zlib.brotliCompress);
+const gzip = promisify(zlib.gzip);
+
+// Done once per post, so use the slowest, smallest settings
+const ENCODERS = {
+  br: {
+    extension: 'br',
+    encode: body => brotliCompress(body, {
+      params: {
+        [zlib.constants.BROTLI_PARAM_QUALITY]: zlib.constants.BROTLI_MAX_QUALITY,
+        [zlib.constants.BROTLI_PARAM_MODE]: zlib.constants.BROTLI_MODE_TEXT
+      }
+    })
+  },
+  gzip: {
+    extension: 'gz',
+    encode: body => gzip(body, { level: zlib.constants.Z_BEST_COMPRESSION })
+  }
+};
+const ENCODINGS = Object.keys(ENCODERS);
+
+// Responses stored per post
+const KINDS = ['page', 'json'];
+
+// Most recently used encodings, by file name
+const MEMORY_LIMIT = 200;
+const memory = new Map();
+const pending = new Map();
+
+function remember(fileName, buffer) {
+  memory.delete(fileName);
+  memory.set(fileName, buffer);
+  if (memory.size > MEMORY_LIMIT) {
+    memory.delete(memory.keys().next().value);
+  }
+}
+
+// Matches the files of `name` ("<name>-<hash>.<extension>")
+function isVersionOf(name, file, extension = '(br|gz)') {
+  return file.startsWith(`${name}-`) &&
+    new RegExp(`^[0-9a-f]+\\.${extension}$`).test(file.slice(name.length + 1));
+}
+
+// Remove the other stored versions of `name` once a new one is written
+async function removeOldVersions(name, fileName, extension, cacheDir) {
+  const isOld = file => file !== fileName && isVersionOf(name, file, extension);
+
+  [...memory.keys()].filter(isOld).forEach(file => memory.delete(file));
+
+  try {
+    const files = await fs.readdir(cacheDir);
+    await Promise.all(files
+      .filter(isOld)
+      .map(file => fs.unlink(path.join(cacheDir, file)).catch(() => {})));
+  } catch (error) {
+    console.warn(`⚠️  Could not remove old precompressed responses of ${name}:`, error.message);
+  }
+}
+
+// Encoded body of `name` at version `hash`; render() is only called when
+// nothing is cached. name: "<postId>-<kind>" (page, json), the hash covering
+// everything the body depends on. Only the latest version of a name is kept.
+async function getPrecompressed(name, hash, encoding, render, { cacheDir }) {
+  const { extension } = ENCODERS[encoding];
+  const fileName = `${name}-${hash}.${extension}`;
+  const filePath = path.join(cacheDir, fileName);
+
+  if (memory.has(fileName)) {
+    const buffer = memory.get(fileName);
+    remember(fileName, buffer);
+    return buffer;
+  }
+
+  if (!pending.has(fileName)) {
+    pending.set(fileName, (async () => {
+      try {
+        let buffer;
+        try {
+          buffer = await fs.readFile(filePath);
+        } catch {
+          buffer = await ENCODERS[encoding].encode(Buffer.from(render()));
+
+          // Write to a temporary file first so a partial file is never read
+          await fs.mkdir(cacheDir, { recursive: true });
+          const tempPath = `${filePath}.${process.pid}.tmp`;
+          await fs.writeFile(tempPath, buffer);
+          await fs.rename(tempPath, filePath);
+          await removeOldVersions(name, fileName, extension, cacheDir);
+        }
+
+        remember(fileName, buffer);
+        return buffer;
+      } finally {
+        pending.delete(fileName);
+      }
+    })());
+  }
+
+  return pending.get(fileName);
+}
+
+// Remove every stored encoding of a post
+async function invalidatePrecompressed(postId, cacheDir) {
+  const isPostFile = file => KINDS.some(kind => isVersionOf(`${postId}-${kind}`, file));
+
+  [...memory.keys()].filter(isPostFile).forEach(file => memory.delete(file));
+
+  try {
+    const files = await fs.readdir(cacheDir);
+    await Promise.all(files
+      .filter(isPostFile)
+      .map(file => fs.unlink(path.join(cacheDir, file)).catch(() => {})));
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      console.warn(`⚠️  Could not invalidate precompressed responses for ${postId}:`, error.message);
+    }
+  }
+}
+
+module.exports = {
+  ENCODINGS,
+  getPrecompressed,
+  invalidatePrecompressed
+};
@@ -0,0 +1,90 @@
+/**
+ * Related posts
+ * Scores candidates by shared tags and by TF-IDF cosine similarity, using the
+ * term frequencies already collected in the search index
+ */
+
+const TAG_WEIGHT = 0.4;
+const CONTENT_WEIGHT = 0.6;
+const MIN_SCORE = 0.01;
+
+// TF-IDF vectors are derived once per search index
+const vectorsCache = new WeakMap();
+
+function getVectors(index) {
+  if (vectorsCache.has(index)) {
+    return vectorsCache.get(index);
+  }
+
+  const documentCount = index.documents.size;
+  const vectors = new Map();
+
+  index.postings.forEach((posting, term) => {
+    const idf = Math.log(documentCount / posting.size);
+    if (idf <= 0) return; // Terms found in every post carry no signal
+
+    posting.forEach((frequency, postId) => {
+      if (!vectors.has(postId)) vectors.set(postId, { weights: new Map(), norm: 0 });
+      const vector = vectors.get(postId);
+      const weight = (1 + Math.log(frequency)) * idf;
+      vector.weights.set(term, weight);
+      vector.norm += weight * weight;
+    });
+  });
+
+  vectors.forEach(vector => {
+    vector.norm = Math.sqrt(vector.norm);
+  });
+
+  vectorsCache.set(index, vectors);
+  return vectors;
+}
+
+function cosineSimilarity(a, b) {
+  if (!a || !b || a.norm === 0 || b.norm === 0) return 0;
+
+  // Iterate over the smaller vector
+  const [small, large] = a.weights.size <= b.weights.size ? [a, b] : [b, a];
+  let dot = 0;
+  small.weights.forEach((weight, term) => {
+    const other = large.weights.get(term);
+    if (other) dot += weight * other;
+  });
+
+  return dot / (a.norm * b.norm);
+}
+
+function tagSimilarity(tagsA, tagsB) {
+  const a = new Set((tagsA || []).map(tag => tag.toLowerCase()));
+  const b = new Set((tagsB || []).map(tag => tag.toLowerCase()));
+  if (a.size === 0 || b.size === 0) return 0;
+
+  let shared = 0;
+  a.forEach(tag => {
+    if (b.has(tag)) shared++;
+  });
+
+  return shared / (a.size + b.size - shared);
+}
+
+// Return up to `limit` candidates related to `post`, best first
+function findRelatedPosts(index, post, candidates, limit = 5) {
+  const vectors = getVectors(index);
+  const postVector = vectors.get(post.id);
+
+  return candidates
+    .filter(candidate => candidate.id !== post.id)
+    .map(candidate => ({
+      post: candidate,
+      score: TAG_WEIGHT * tagSimilarity(post.tags, candidate.tags) +
+        CONTENT_WEIGHT * cosineSimilarity(postVector, vectors.get(candidate.id))
+    }))
+    .filter(result => result.score >= MIN_SCORE)
+    .sort((a, b) => b.score - a.score || new Date(b.post.date) - new Date(a.post.date))
+    .slice(0, limit)
+    .map(result => ({ ...result, score: Math.round(result.score * 1000) / 1000 }));
+}
+
+module.exports = {
+  findRelatedPosts
+};
@@ -0,0 +1,256 @@
+/**
+ * Server-side rendering of blog pages
+ * Fills the frontend index.html with the same markup BlogApp builds in the
+ * browser, so crawlers and no-JS readers get real content. The data used to
+ * render the page is embedded as JSON for BlogApp to hydrate from.
+ */
+
+const path = require('path');
+const fsSync = require('fs');
+const crypto = require('crypto');
+const { countComments } = require('./comments');
+
+const TEMPLATE_PATH = path.join(__dirname, '../frontend/index.html');
+const template = fsSync.readFileSync(TEMPLATE_PATH, 'utf-8');
+
+// Changes with the template and this renderer, for caches of rendered pages
+const TEMPLATE_VERSION = crypto.createHash('sha1')
+  .update(template)
+  .update(fsSync.readFileSync(__filename))
+  .digest('hex')
+  .slice(0, 12);
+
+function escapeHtml(unsafe) {
+  return String(unsafe)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#039;');
+}
+
+// Same output as BlogApp.formatDate
+function formatDate(dateString) {
+  const date = new Date(dateString);
+  return date.toLocaleDateString('fr-FR', {
+    year: 'numeric',
+    month: 'long',
+    day: 'numeric'
+  });
+}
+
+// JSON that can be embedded in a <script> element
+function serializeState(state) {
+  return JSON.stringify(state)
+    .replace(/</g, '\\u003c')
+    .replace(/\u2028/g, '\\u2028')
+    .replace(/\u2029/g, '\\u2029');
+}
+
+function renderTags(tags) {
+  if (!tags || tags.length === 0) return '';
+
+  const tagsHtml = tags.map(tag =>
+    `<a class="post-tag" href="/tags/${encodeURIComponent(tag)}" data-tag="${escapeHtml(tag)}">${escapeHtml(tag)}</a>`
+  ).join('');
+
+  return `<div class="post-tags">${tagsHtml}</div>`;
+}
+
+// showUpdated: full posts also show when they were last updated
+function renderPostMeta(post, { showUpdated = false } = {}) {
+  const updated = showUpdated && post.updated ?
+    `<span class="post-updated">mis à jour le ${formatDate(post.updated)}</span>` : '';
+
+  return `<div class="post-meta">
+          <span class="post-author">${escapeHtml(post.author)}</span>
+          <span class="post-date">${formatDate(post.date)}</span>
+          ${updated}
+          <span class="post-read-time">${post.readTime} min de lecture</span>
+        </div>`;
+}
+
+// Mirrors BlogApp.createPostElement
+function renderPostCard(post, isFeatured = false) {
+  const url = `/posts/${encodeURIComponent(post.id)}`;
+
+  return `<article class="${isFeatured ? 'post-card featured' : 'post-card'}" data-post-id="${escapeHtml(post.id)}">
+      <header class="post-header">
+        <h2 class="post-title">
+          <a href="${url}" data-post-id="${escapeHtml(post.id)}">
+            ${escapeHtml(post.title)}
+          </a>
+        </h2>
+        ${renderPostMeta(post)}
+        ${renderTags(post.tags)}
+      </header>
+      <div class="post-excerpt">
+        ${escapeHtml(post.excerpt || '')}
+      </div>
+      <a href="${url}" class="read-more" data-post-id="${escapeHtml(post.id)}">
+        Lire plus →
+      </a>
+    </article>`;
+}
+
+// Featured first post, then the others in a grid, like BlogApp.renderPosts
+function renderPostList(posts, page) {
+  const cards = posts.map((post, index) => renderPostCard(post, page === 1 && index === 0));
+  const featured = page === 1 ? cards.shift() : '';
+
+  return `${featured || ''}${cards.length > 0 ? `<div class="posts-grid">${cards.join('')}</div>` : ''}`;
+}
+
+// Links to other pages, for readers without infinite scroll
+// pageUrl(page) returns the path of a page
+function renderPagination(pageUrl, pagination) {
+  if (!pagination.hasPrev && !pagination.hasNext) return '';
+
+  return `<nav class="pagination" aria-label="Pagination">
+      ${pagination.hasPrev ? `<a href="${pageUrl(pagination.page - 1)}" rel="prev">← Articles plus récents</a>` : ''}
+      ${pagination.hasNext ? `<a href="${pageUrl(pagination.page + 1)}" rel="next">Articles plus anciens →</a>` : ''}
+    </nav>`;
+}
+
+// Paragraphs of a plain text comment
+function renderCommentBody(content) {
+  return content.split(/\n{2,}/)
+    .map(paragraph => `<p>${escapeHtml(paragraph).replace(/\n/g, '<br>')}</p>`)
+    .join('');
+}
+
+function renderComment(comment) {
+  const replies = comment.replies.length > 0 ?
+    `<ol class="comment-list comment-replies">${comment.replies.map(renderComment).join('')}</ol>` : '';
+
+  return `<li class="comment" id="comment-${escapeHtml(comment.id)}">
+          <div class="comment-meta">
+            <span class="comment-author">${escapeHtml(comment.author)}</span>
+            <time class="comment-date" datetime="${escapeHtml(comment.createdAt)}">${formatDate(comment.createdAt)}</time>
+          </div>
+          <div class="comment-body">${renderCommentBody(comment.content)}</div>
+          ${replies}
+        </li>`;
+}
+
+// Mirrors BlogApp.renderComments, without the reply buttons and the form,
+// which need JavaScript
+function renderComments(comments) {
+  const count = countComments(comments);
+
+  return `<section class="post-comments" id="comments">
+        <h2 class="post-comments-title">Commentaires (${count})</h2>
+        ${count > 0 ?
+          `<ol class="comment-list">${comments.map(renderComment).join('')}</ol>` :
+          '<p class="comments-empty">Aucun commentaire pour l\'instant.</p>'}
+      </section>`;
+}
+
+function countTocEntries(entries) {
+  return entries.reduce((count, entry) => count + 1 + countTocEntries(entry.children), 0);
+}
+
+function renderTocEntries(entries) {
+  return `<ol class="post-toc-list">${entries.map(entry => `<li>
+            <a href="#${escapeHtml(entry.id)}">${escapeHtml(entry.text)}</a>
+            ${entry.children.length > 0 ? renderTocEntries(entry.children) : ''}
+          </li>`).join('')}</ol>`;
+}
+
+// Mirrors BlogApp.renderToc: a sidebar next to the content on wide screens,
+// only for posts with several sections
+function renderToc(toc) {
+  if (!toc || countTocEntries(toc) < 2) return '';
+
+  return `<nav class="post-toc" aria-label="Sommaire">
+          <div class="post-toc-inner">
+            <p class="post-toc-title">Sommaire</p>
+            ${renderTocEntries(toc)}
+          </div>
+        </nav>`;
+}
+
+// Mirrors BlogApp.renderFullPost
+// comments: approved comment threads, listed under the post when given
+function renderFullPost(post, { comments = null } = {}) {
+  const previewLabels = { draft: 'brouillon', scheduled: 'programmé' };
+  const previewBanner = previewLabels[post.status] ?
+    `<div class="post-preview-banner">Aperçu privé — article ${previewLabels[post.status]}</div>` : '';
+
+  return `<article class="post-card post-full" data-post-id="${escapeHtml(post.id)}">
+      <header class="post-header">
+        <button class="back-button" id="back-to-posts">← Retour à tous les articles</button>
+        ${previewBanner}
+        <h1 class="post-title">${escapeHtml(post.title)}</h1>
+        ${renderPostMeta(post, { showUpdated: true })}
+        ${renderTags(post.tags)}
+      </header>
+      <nav class="series-toc" hidden></nav>
+      <div class="post-body">
+        ${renderToc(post.toc)}
+        <div class="post-content">
+          ${post.content}
+        </div>
+      </div>
+      <nav class="series-nav" hidden></nav>
+      ${comments ? renderComments(comments) : ''}
+    </article>`;
+}
+
+function renderHero(title) {
+  return `<section class="hero">
+                    <h2 class="hero-title">${escapeHtml(title)}</h2>
+                    <p class="hero-subtitle"></p>
+                </section>`;
+}
+
+function renderNotFound() {
+  return `<article class="post-card post-full">
+      <header class="post-header">
+        <h1 class="post-title">Page introuvable</h1>
+      </header>
+      <div class="post-content">
+        <p><a href="/">← Retour à tous les articles</a></p>
+      </div>
+    </article>`;
+}
+
+// Build a complete page from the frontend template
+// options: title, description, canonicalUrl, head (extra tags), hero,
+// content, state (hydration data), robots
+function renderPage({ title, description, canonicalUrl, head = '', hero, content, state, robots }) {
+  const headTags = [
+    canonicalUrl ? `<link rel="canonical" href="${escapeHtml(canonicalUrl)}">` : '',
+    robots ? `<meta name="robots" content="${escapeHtml(robots)}">` : '',
+    head
+  ].filter(Boolean).map(tag => `    ${tag}`).join('\n');
+
+  // Function replacers, so "$" sequences in post content are kept as-is
+  let html = template
+    .replace(/<title>[\s\S]*?<\/title>/, () => `<title>${escapeHtml(title)}</title>`)
+    .replace(/(<meta name="description" content=")[^"]*(")/, (match, start, end) => `${start}${escapeHtml(description)}${end}`)
+    .replace('</head>', () => `${headTags}\n</head>`)
+    .replace(/(<section class="blog-posts" id="blog-posts">)[\s\S]*?(<\/section>)/, (match, start, end) => `${start}\n${content}\n                ${end}`);
+
+  if (hero) {
+    html = html.replace(/<section class="hero"[\s\S]*?<\/section>/, () => renderHero(hero));
+  }
+
+  if (state) {
+    html = html.replace(
+      /(\s*)(<script src="\/app\.js)/,
+      (match, indent, script) => `${indent}<script id="initial-state" type="application/json">${serializeState(state)}</script>${indent}${script}`
+    );
+  }
+
+  return html;
+}
+
+module.exports = {
+  TEMPLATE_VERSION,
+  renderPage,
+  renderPostList,
+  renderPagination,
+  renderFullPost,
+  renderNotFound
+};
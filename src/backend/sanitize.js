@@ -0,0 +1,70 @@
+/**
+ * HTML sanitization of rendered posts
+ * Markdown lets posts contain raw HTML, so the output of marked goes through
+ * an allowlist of tags, attributes and URL schemes before it is stored or
+ * served. Everything else (scripts, event handlers, javascript: URLs, inline
+ * styles, forms, ...) is removed.
+ *
+ * The defaults cover what marked produces plus common embeds (images, video,
+ * details); more tags and iframes from chosen hosts can be allowed.
+ */
+
+const sanitizeHtml = require('sanitize-html');
+
+const DEFAULT_ALLOWED_TAGS = [
+  ...sanitizeHtml.defaults.allowedTags,
+  'img', 'del', 'ins', 'input', 'details', 'summary', 'video', 'audio', 'source'
+];
+
+// Allowed on every tag
+const GLOBAL_ATTRIBUTES = ['class', 'id', 'title', 'lang', 'dir'];
+
+const ALLOWED_ATTRIBUTES = {
+  a: ['href', 'target', 'rel'],
+  img: ['src', 'alt', 'width', 'height', 'loading'],
+  input: ['type', 'checked', 'disabled'],
+  ol: ['start', 'reversed'],
+  li: ['value'],
+  th: ['align', 'colspan', 'rowspan'],
+  td: ['align', 'colspan', 'rowspan'],
+  time: ['datetime'],
+  details: ['open'],
+  video: ['src', 'controls', 'loop', 'muted', 'playsinline', 'preload', 'width', 'height'],
+  audio: ['src', 'controls', 'loop', 'preload'],
+  source: ['src', 'type'],
+  iframe: ['src', 'width', 'height', 'allow', 'allowfullscreen', 'loading', 'referrerpolicy']
+};
+
+// allowedTags: tags allowed on top of the defaults (global attributes only)
+// iframeHosts: hostnames iframes may load from; no iframes when empty
+function createSanitizer({ allowedTags = [], iframeHosts = [] } = {}) {
+  const options = {
+    allowedTags: [...new Set([
+      ...DEFAULT_ALLOWED_TAGS,
+      ...allowedTags.map(tag => tag.toLowerCase()),
+      ...(iframeHosts.length > 0 ? ['iframe'] : [])
+    ])],
+    allowedAttributes: { '*': GLOBAL_ATTRIBUTES, ...ALLOWED_ATTRIBUTES },
+    allowedSchemes: ['http', 'https', 'mailto'],
+    allowedSchemesByTag: { img: ['http', 'https', 'data'] },
+    allowedIframeHostnames: iframeHosts,
+    allowIframeRelativeUrls: false,
+    // GFM task list items are the only inputs, and they stay read-only
+    exclusiveFilter: frame => frame.tag === 'input' && frame.attribs.type !== 'checkbox',
+    transformTags: {
+      input: (tagName, attribs) => ({ tagName, attribs: { ...attribs, disabled: '' } }),
+      // A page opened in a new tab gets no handle on the blog
+      a: (tagName, attribs) => ({
+        tagName,
+        attribs: attribs.target ? { ...attribs, rel: 'noopener noreferrer' } : attribs
+      })
+    }
+  };
+
+  return html => sanitizeHtml(html, options);
+}
+
+module.exports = {
+  DEFAULT_ALLOWED_TAGS,
+  createSanitizer
+};
@@ -0,0 +1,347 @@
+/**
+ * Full-text search over posts
+ * Inverted index with accent folding, French/English stemming and BM25
+ * ranking, plus field filters (tag:, author:, before:, after:) and
+ * highlighted snippets
+ */
+
+const snowball = require('snowball-stemmers');
+
+const STEMMERS = {
+  fr: snowball.newStemmer('french'),
+  en: snowball.newStemmer('english')
+};
+
+// BM25 parameters and per-field weights
+const K1 = 1.2;
+const B = 0.75;
+const FIELD_WEIGHTS = { title: 3, tags: 2, author: 1, body: 1 };
+const PREFIX_WEIGHT = 0.5;
+const SNIPPET_LENGTH = 200;
+
+const STOPWORDS = new Set([
+  // French
+  'au', 'aux', 'avec', 'ce', 'ces', 'dans', 'de', 'des', 'du', 'elle', 'en', 'et', 'eux', 'il', 'je',
+  'la', 'le', 'les', 'leur', 'lui', 'ma', 'mais', 'me', 'meme', 'mes', 'moi', 'mon', 'ne', 'nos',
+  'notre', 'nous', 'on', 'ou', 'par', 'pas', 'pour', 'qu', 'que', 'qui', 'sa', 'se', 'ses', 'son',
+  'sur', 'ta', 'te', 'tes', 'toi', 'ton', 'tu', 'un', 'une', 'vos', 'votre', 'vous', 'est', 'sont',
+  'cette', 'cet', 'l', 'd', 'j', 'c', 'n', 's', 'm', 't',
+  // English
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'but', 'by', 'for', 'if', 'in', 'into', 'is', 'it',
+  'no', 'not', 'of', 'on', 'or', 'such', 'that', 'the', 'their', 'then', 'there', 'these', 'they',
+  'this', 'to', 'was', 'will', 'with'
+]);
+
+const ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ' };
+
+// Decode numeric and common named entities
+function decodeEntities(html) {
+  return html.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (match, entity) => {
+    if (entity[0] === '#') {
+      const code = entity[1].toLowerCase() === 'x' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10);
+      return isNaN(code) ? match : String.fromCodePoint(code);
+    }
+    return ENTITIES[entity.toLowerCase()] || match;
+  });
+}
+
+// Remove markup from rendered HTML and decode common entities
+// Diagrams and the MathML copy of rendered math are left out, so math reads once
+function stripHtml(html) {
+  return decodeEntities(html
+    .replace(/<(script|style|svg|math)[^>]*>[\s\S]*?<\/\1>/gi, ' ')
+    .replace(/<[^>]+>/g, ' '))
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+function foldAccents(text) {
+  return text.normalize('NFD').replace(/[\u0300-\u036f]/g, '');
+}
+
+// Split text into words, keeping their offsets for snippet highlighting
+function splitWords(text) {
+  const words = [];
+  const pattern = /[\p{L}\p{N}]+/gu;
+  let match;
+  while ((match = pattern.exec(text)) !== null) {
+    words.push({ word: match[0], start: match.index, end: match.index + match[0].length });
+  }
+  return words;
+}
+
+// Index term for a word in a given language, or null for stopwords
+function termFor(word, lang) {
+  const lower = word.toLowerCase();
+  if (STOPWORDS.has(foldAccents(lower))) return null;
+  const stemmer = STEMMERS[lang] || STEMMERS.fr;
+  return foldAccents(stemmer.stem(lower));
+}
+
+// Every stemmed form a query word can take, since its language is unknown
+function queryTermsFor(word) {
+  const lower = word.toLowerCase();
+  if (STOPWORDS.has(foldAccents(lower))) return [];
+  const terms = new Set(Object.values(STEMMERS).map(stemmer => foldAccents(stemmer.stem(lower))));
+  return [...terms];
+}
+
+function tokenize(text, lang) {
+  return splitWords(text)
+    .map(({ word }) => termFor(word, lang))
+    .filter(term => term !== null);
+}
+
+// Build the inverted index for a list of posts
+// postings: term -> Map(postId -> weighted term frequency)
+function buildSearchIndex(posts, { defaultLanguage = 'fr' } = {}) {
+  const postings = new Map();
+  const documents = new Map();
+  let totalLength = 0;
+
+  posts.forEach(post => {
+    const lang = post.lang || defaultLanguage;
+    const body = stripHtml(post.content || '');
+    const fields = {
+      title: post.title || '',
+      tags: (post.tags || []).join(' '),
+      author: post.author || '',
+      body
+    };
+
+    const frequencies = new Map();
+    let length = 0;
+
+    Object.entries(fields).forEach(([field, text]) => {
+      const weight = FIELD_WEIGHTS[field];
+      tokenize(text, lang).forEach(term => {
+        frequencies.set(term, (frequencies.get(term) || 0) + weight);
+        length += weight;
+      });
+    });
+
+    frequencies.forEach((frequency, term) => {
+      if (!postings.has(term)) postings.set(term, new Map());
+      postings.get(term).set(post.id, frequency);
+    });
+
+    documents.set(post.id, { post, lang, body, length });
+    totalLength += length;
+  });
+
+  return {
+    postings,
+    documents,
+    averageLength: documents.size > 0 ? totalLength / documents.size : 0
+  };
+}
+
+// Split a raw query into free text and field filters
+// e.g. 'docker tag:devops after:2024-01-01 author:"Ronan L"'
+function parseQuery(query) {
+  const filters = { tags: [], authors: [], before: null, after: null };
+  const textParts = [];
+  const pattern = /(\w+):(?:"([^"]*)"|(\S+))|"([^"]*)"|(\S+)/g;
+  let match;
+
+  while ((match = pattern.exec(query)) !== null) {
+    const [, field, quotedValue, plainValue, quotedText, word] = match;
+    const value = quotedValue !== undefined ? quotedValue : plainValue;
+
+    switch (field && field.toLowerCase()) {
+      case 'tag':
+        filters.tags.push(value);
+        break;
+      case 'author':
+        filters.authors.push(value);
+        break;
+      case 'before':
+      case 'after': {
+        const date = new Date(value);
+        if (!isNaN(date.getTime())) filters[field.toLowerCase()] = date;
+        break;
+      }
+      default:
+        textParts.push(field ? match[0] : (quotedText !== undefined ? quotedText : word));
+    }
+  }
+
+  return { text: textParts.join(' ').trim(), filters };
+}
+
+function hasFilters(filters) {
+  return filters.tags.length > 0 || filters.authors.length > 0 || filters.before || filters.after;
+}
+
+function matchesFilters(post, filters) {
+  const normalize = value => foldAccents(String(value).toLowerCase());
+
+  if (filters.tags.length > 0) {
+    const postTags = (post.tags || []).map(normalize);
+    if (!filters.tags.every(tag => postTags.includes(normalize(tag)))) return false;
+  }
+
+  if (filters.authors.length > 0) {
+    const author = normalize(post.author || '');
+    if (!filters.authors.every(name => author.includes(normalize(name)))) return false;
+  }
+
+  const date = new Date(post.date);
+  if (filters.before && !(date < filters.before)) return false;
+  if (filters.after && !(date > filters.after)) return false;
+
+  return true;
+}
+
+// Expand query words into weighted index terms
+// The last word also matches as a prefix, for search-as-you-type
+function expandQuery(text, index) {
+  const words = splitWords(text).map(({ word }) => word);
+
+  return words.map((word, position) => {
+    const variants = new Map(queryTermsFor(word).map(term => [term, 1]));
+
+    if (position === words.length - 1 && word.length >= 3) {
+      const prefix = foldAccents(word.toLowerCase());
+      for (const term of index.postings.keys()) {
+        if (term.startsWith(prefix) && !variants.has(term)) {
+          variants.set(term, PREFIX_WEIGHT);
+        }
+      }
+    }
+
+    return variants;
+  }).filter(variants => variants.size > 0);
+}
+
+function bm25(frequency, documentFrequency, documentCount, length, averageLength) {
+  const idf = Math.log(1 + (documentCount - documentFrequency + 0.5) / (documentFrequency + 0.5));
+  const norm = frequency + K1 * (1 - B + B * (averageLength > 0 ? length / averageLength : 1));
+  return idf * (frequency * (K1 + 1)) / norm;
+}
+
+function escapeHtml(text) {
+  return text
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#039;');
+}
+
+// Escape text and wrap every word whose term matched the query in <mark>
+function highlight(text, matchedTerms, lang) {
+  let html = '';
+  let cursor = 0;
+
+  splitWords(text).forEach(({ word, start, end }) => {
+    const term = termFor(word, lang);
+    const isMatch = term !== null && (matchedTerms.has(term) ||
+      queryTermsFor(word).some(variant => matchedTerms.has(variant)));
+
+    if (isMatch) {
+      html += escapeHtml(text.slice(cursor, start)) + `<mark>${escapeHtml(word)}</mark>`;
+      cursor = end;
+    }
+  });
+
+  return html + escapeHtml(text.slice(cursor));
+}
+
+// Pick the snippet window containing the most matched words
+function buildSnippet(body, matchedTerms, lang) {
+  const words = splitWords(body);
+  const hits = words.filter(({ word }) => {
+    const term = termFor(word, lang);
+    return term !== null && matchedTerms.has(term);
+  });
+
+  if (hits.length === 0) {
+    const text = body.length > SNIPPET_LENGTH ? body.slice(0, SNIPPET_LENGTH) + '…' : body;
+    return escapeHtml(text);
+  }
+
+  let bestStart = hits[0].start;
+  let bestCount = 0;
+  hits.forEach(hit => {
+    const count = hits.filter(other => other.start >= hit.start && other.end <= hit.start + SNIPPET_LENGTH).length;
+    if (count > bestCount) {
+      bestCount = count;
+      bestStart = hit.start;
+    }
+  });
+
+  // Start a little before the first hit, on a word boundary
+  let start = Math.max(0, bestStart - 40);
+  if (start > 0) {
+    const boundary = body.indexOf(' ', start);
+    start = boundary !== -1 && boundary < bestStart ? boundary + 1 : bestStart;
+  }
+  let end = Math.min(body.length, start + SNIPPET_LENGTH);
+  if (end < body.length) {
+    const boundary = body.lastIndexOf(' ', end);
+    end = boundary > bestStart ? boundary : end;
+  }
+
+  return (start > 0 ? '…' : '') + highlight(body.slice(start, end), matchedTerms, lang) + (end < body.length ? '…' : '');
+}
+
+// Search the index, restricted to the given posts (e.g. listed posts only)
+// Returns [{ post, score, highlights }] sorted by relevance, or by date when
+// the query only contains filters
+function searchPosts(index, posts, query) {
+  const { text, filters } = parseQuery(query);
+  const candidates = posts.filter(post => matchesFilters(post, filters));
+
+  if (!text) {
+    return hasFilters(filters) ?
+      candidates.map(post => ({ post, score: 0, highlights: null })) : [];
+  }
+
+  const queryTerms = expandQuery(text, index);
+  const documentCount = index.documents.size;
+  const results = [];
+
+  candidates.forEach(post => {
+    const document = index.documents.get(post.id);
+    if (!document) return;
+
+    let score = 0;
+    const matchedTerms = new Set();
+
+    queryTerms.forEach(variants => {
+      let best = 0;
+      variants.forEach((weight, term) => {
+        const posting = index.postings.get(term);
+        const frequency = posting && posting.get(post.id);
+        if (!frequency) return;
+
+        matchedTerms.add(term);
+        const termScore = weight * bm25(frequency, posting.size, documentCount, document.length, index.averageLength);
+        best = Math.max(best, termScore);
+      });
+      score += best;
+    });
+
+    if (score > 0) {
+      results.push({
+        post,
+        score: Math.round(score * 1000) / 1000,
+        highlights: {
+          title: highlight(post.title, matchedTerms, document.lang),
+          content: buildSnippet(document.body, matchedTerms, document.lang)
+        }
+      });
+    }
+  });
+
+  return results.sort((a, b) => b.score - a.score || new Date(b.post.date) - new Date(a.post.date));
+}
+
+module.exports = {
+  buildSearchIndex,
+  parseQuery,
+  searchPosts,
+  decodeEntities,
+  stripHtml
+};
@@ -0,0 +1,102 @@
+/**
+ * Social and search metadata for server-rendered pages
+ * Open Graph, Twitter Card and schema.org JSON-LD
+ */
+
+function escapeAttribute(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/"/g, '&quot;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;');
+}
+
+function toAbsoluteUrl(url, siteUrl) {
+  if (!url) return null;
+  if (/^https?:\/\//i.test(url)) return url;
+  return `${siteUrl}${url.startsWith('/') ? '' : '/'}${url}`;
+}
+
+function toIsoDate(value) {
+  const date = new Date(value);
+  return isNaN(date.getTime()) ? null : date.toISOString();
+}
+
+// First <img> of the rendered content, used when a post has no cover
+function findFirstImage(html) {
+  const match = html.match(/<img\b[^>]*\bsrc=["']([^"']+)["']/i);
+  return match ? match[1] : null;
+}
+
+function metaTag(attribute, name, content) {
+  return `<meta ${attribute}="${name}" content="${escapeAttribute(content)}">`;
+}
+
+// JSON-LD is not executed, but must not be able to close its <script> element
+function jsonLd(data) {
+  const json = JSON.stringify(data).replace(/</g, '\\u003c');
+  return `<script type="application/ld+json">${json}</script>`;
+}
+
+// Tags for a post page: Open Graph article, Twitter Card and BlogPosting
+function buildPostMetaTags(post, { siteUrl, siteTitle, url }) {
+  const image = toAbsoluteUrl(post.image, siteUrl);
+  const published = toIsoDate(post.date);
+  const modified = toIsoDate(post.updated || post.lastModified);
+
+  const tags = [
+    metaTag('property', 'og:type', 'article'),
+    metaTag('property', 'og:site_name', siteTitle),
+    metaTag('property', 'og:locale', post.lang === 'en' ? 'en_US' : 'fr_FR'),
+    metaTag('property', 'og:title', post.title),
+    metaTag('property', 'og:description', post.description),
+    metaTag('property', 'og:url', url),
+    image ? metaTag('property', 'og:image', image) : null,
+    image ? metaTag('property', 'og:image:alt', post.title) : null,
+    published ? metaTag('property', 'article:published_time', published) : null,
+    modified ? metaTag('property', 'article:modified_time', modified) : null,
+    metaTag('property', 'article:author', post.author),
+    ...(post.tags || []).map(tag => metaTag('property', 'article:tag', tag)),
+    metaTag('name', 'twitter:card', image ? 'summary_large_image' : 'summary'),
+    metaTag('name', 'twitter:title', post.title),
+    metaTag('name', 'twitter:description', post.description),
+    image ? metaTag('name', 'twitter:image', image) : null,
+    jsonLd({
+      '@context': 'https://schema.org',
+      '@type': 'BlogPosting',
+      headline: post.title,
+      description: post.description,
+      url,
+      mainEntityOfPage: { '@type': 'WebPage', '@id': url },
+      ...(image ? { image: [image] } : {}),
+      ...(published ? { datePublished: published } : {}),
+      ...(modified ? { dateModified: modified } : {}),
+      author: { '@type': 'Person', name: post.author },
+      publisher: { '@type': 'Organization', name: siteTitle, url: `${siteUrl}/` },
+      keywords: (post.tags || []).join(', '),
+      inLanguage: post.lang || 'fr'
+    })
+  ];
+
+  return tags.filter(Boolean).join('\n    ');
+}
+
+// Tags for listing pages (home and tags)
+function buildPageMetaTags({ title, description, url, siteTitle }) {
+  return [
+    metaTag('property', 'og:type', 'website'),
+    metaTag('property', 'og:site_name', siteTitle),
+    metaTag('property', 'og:title', title),
+    metaTag('property', 'og:description', description),
+    metaTag('property', 'og:url', url),
+    metaTag('name', 'twitter:card', 'summary'),
+    metaTag('name', 'twitter:title', title),
+    metaTag('name', 'twitter:description', description)
+  ].join('\n    ');
+}
+
+module.exports = {
+  findFirstImage,
+  buildPostMetaTags,
+  buildPageMetaTags
+};
@@ -0,0 +1,48 @@
+/**
+ * Multi-part post series
+ * Posts join a series with the `series` frontmatter key and are ordered by
+ * `seriesOrder`, then by date
+ */
+
+// Group posts by series slug
+function buildSeries(posts) {
+  const series = new Map();
+
+  posts.forEach(post => {
+    if (!post.seriesSlug) return;
+
+    if (!series.has(post.seriesSlug)) {
+      series.set(post.seriesSlug, { slug: post.seriesSlug, name: post.series, posts: [] });
+    }
+    series.get(post.seriesSlug).posts.push(post);
+  });
+
+  series.forEach(entry => {
+    entry.posts.sort((a, b) => {
+      const orderA = a.seriesOrder !== null ? a.seriesOrder : Infinity;
+      const orderB = b.seriesOrder !== null ? b.seriesOrder : Infinity;
+      if (orderA !== orderB) return orderA - orderB;
+      return new Date(a.date) - new Date(b.date);
+    });
+  });
+
+  return series;
+}
+
+// Summary used by the series listing
+function summarizeSeries(entry) {
+  const dates = entry.posts.map(post => new Date(post.date).getTime()).filter(time => !isNaN(time));
+
+  return {
+    slug: entry.slug,
+    name: entry.name,
+    count: entry.posts.length,
+    firstPostId: entry.posts[0].id,
+    updated: dates.length > 0 ? new Date(Math.max(...dates)).toISOString() : null
+  };
+}
+
+module.exports = {
+  buildSeries,
+  summarizeSeries
+};
@@ -2,16 +2,93 @@ const express = require('express');
 const path = require('path');
 const fs = require('fs').promises;
 const fsSync = require('fs');
+const crypto = require('crypto');
 const { marked } = require('marked');
 const hljs = require('highlight.js');
 const cors = require('cors');
 const helmet = require('helmet');
 const compression = require('compression');
 const rateLimit = require('express-rate-limit');
+const { buildRss, buildAtom, buildJsonFeed } = require('./feeds');
+const {
+  buildSitemapEntries,
+  paginateSitemap,
+  buildUrlset,
+  buildSitemapIndex,
+  buildRobotsTxt
+} = require('./sitemap');
+const { parseFrontmatter, formatFrontmatterIssue } = require('./frontmatter');
+const {
+  getPublishDate,
+  getPostStatus,
+  isPublished,
+  isListed,
+  createPreviewToken,
+  verifyPreviewToken
+} = require('./visibility');
+const { buildSearchIndex, searchPosts, stripHtml } = require('./search');
+const { findRelatedPosts } = require('./related');
+const { buildSeries, summarizeSeries } = require('./series');
+const { slugify, postUrl } = require('./urls');
+const {
+  TEMPLATE_VERSION,
+  renderPage,
+  renderPostList,
+  renderPagination,
+  renderFullPost,
+  renderNotFound
+} = require('./render');
+const { findFirstImage, buildPostMetaTags, buildPageMetaTags } = require('./seo');
+const { getOgImage, invalidateOgImage } = require('./og-image');
+const { watchDirectory } = require('./watcher');
+const { hashContent, createPostCache } = require('./post-cache');
+const { createEventStream } = require('./events');
+const { hashPost, postsEtag, postsLastModified, handleConditionalRequest } = require('./http-cache');
+const { ENCODINGS, getPrecompressed, invalidatePrecompressed } = require('./precompress');
+const { createAdminAuth } = require('./admin-auth');
+const { createPostStore } = require('./post-store');
+const { SHA_PATTERN, createGitHistory } = require('./git-history');
+const { COMMENT_STATUSES, countComments, createCommentStore } = require('./comments');
+const { createSanitizer } = require('./sanitize');
+const { markdownExtensions, buildToc } = require('./markdown');
+const { renderCodeBlock } = require('./code-blocks');
+const { mathExtensions, renderMath } = require('./math');
+const { diagramExtensions, createDiagramRenderer } = require('./diagrams');
+const { EMBED_FRAME_HOSTS, readIncludes, expandShortcodes, renderEmbeds } = require('./shortcodes');
+const {
+  IMAGE_FORMATS,
+  snapWidth,
+  isResizable,
+  getMimeType,
+  getImageVariant,
+  enhanceImages
+} = require('./images');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 const POSTS_DIR = path.join(__dirname, '../shared/posts');
+// Generated files (social cards, image variants, parsed posts, ...), kept outside the read-only posts volume
+const CACHE_DIR = process.env.CACHE_DIR || path.join(__dirname, '../shared/cache');
+const PRECOMPRESSED_DIR = path.join(CACHE_DIR, 'precompressed');
+// Reader comments, next to the posts rather than in the (often read-only) posts volume
+const COMMENTS_DIR = process.env.COMMENTS_DIR || path.join(__dirname, '../shared/comments');
+
+// Public site information used by feeds and other absolute links
+// SITE_URL falls back to the request host when not configured
+const SITE_URL = process.env.SITE_URL ? process.env.SITE_URL.replace(/\/+$/, '') : null;
+const SITE_TITLE = process.env.SITE_TITLE || 'ronan.lol';
+const SITE_DESCRIPTION = process.env.SITE_DESCRIPTION || 'A retro terminal-style blog with a minimalist aesthetic';
+const SITE_AUTHOR = process.env.SITE_AUTHOR || 'Ronan Lamour';
+const SITE_LANGUAGE = process.env.SITE_LANGUAGE || 'fr';
+
+// HTML allowed in posts on top of the defaults: extra tags, and hosts iframes
+// may load from (comma-separated)
+function parseList(value) {
+  return (value || '').split(',').map(item => item.trim()).filter(Boolean);
+}
+const HTML_ALLOWED_TAGS = parseList(process.env.HTML_ALLOWED_TAGS);
+const HTML_IFRAME_HOSTS = parseList(process.env.HTML_IFRAME_HOSTS);
+const sanitizePostHtml = createSanitizer({ allowedTags: HTML_ALLOWED_TAGS, iframeHosts: HTML_IFRAME_HOSTS });
 
 // Trust proxy - only enable if explicitly needed
 // For Pangolin/tunnel scenarios, this is typically not required
@@ -29,6 +106,8 @@ app.use(helmet({
       scriptSrc: ["'self'"],
       imgSrc: ["'self'", "data:", "https:"],
       connectSrc: ["'self'"],
+      // Embeds create their frame once clicked
+      frameSrc: ["'self'", ...[...HTML_IFRAME_HOSTS, ...EMBED_FRAME_HOSTS].map(host => `https://${host}`)],
     },
   },
 }));
@@ -45,29 +124,45 @@ app.use(limiter);
 // Other middleware
 app.use(compression());
 app.use(cors());
+
+// Admin API: authenticated first, with a strict limit on failed attempts,
+// and larger bodies since it receives whole posts
+const adminAuth = createAdminAuth({
+  passwordHash: process.env.ADMIN_PASSWORD_HASH,
+  password: process.env.ADMIN_PASSWORD
+});
+const adminLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 30, // failed requests per IP
+  skipSuccessfulRequests: true,
+  standardHeaders: true,
+  legacyHeaders: false,
+});
+// Asset uploads are read raw whatever their content type, so a JSON file is
+// stored as sent rather than parsed
+const ASSET_UPLOAD_LIMIT = '20mb';
+const parseAdminJson = express.json({ limit: '2mb' });
+const parseAssetUpload = express.raw({ type: () => true, limit: ASSET_UPLOAD_LIMIT });
+function parseAdminBody(req, res, next) {
+  const isAssetUpload = req.method === 'PUT' && /^\/posts\/[^/]+\/assets\/./.test(req.path);
+  (isAssetUpload ? parseAssetUpload : parseAdminJson)(req, res, next);
+}
+app.use('/api/admin', adminLimiter, adminAuth.requireAdmin, parseAdminBody, (req, res, next) => {
+  res.set('Cache-Control', 'no-store');
+  next();
+});
+
 app.use(express.json());
-app.use(express.static(path.join(__dirname, '../frontend')));
+// index.html is rendered by the page routes below, not served as-is
+app.use(express.static(path.join(__dirname, '../frontend'), { index: false }));
+// Stylesheet and fonts of rendered math
+const KATEX_DIR = path.join(path.dirname(require.resolve('katex/package.json')), 'dist');
+app.use('/katex', express.static(KATEX_DIR, { index: false }));
 
 // Configure marked with syntax highlighting
-// Override the code renderer to add highlighting
+// Override the code renderer to add highlighting, titles, line numbers and diffs
 const renderer = new marked.Renderer();
-
-renderer.code = function(code, language) {
-  let highlightedCode;
-  if (language && hljs.getLanguage(language)) {
-    try {
-      highlightedCode = hljs.highlight(code, { language: language }).value;
-    } catch (err) {
-      console.error('Highlighting error:', err);
-      highlightedCode = hljs.highlightAuto(code).value;
-    }
-  } else {
-    const autoHighlight = hljs.highlightAuto(code);
-    highlightedCode = autoHighlight.value;
-  }
-  
-  return `<pre><code class="hljs language-${language || 'text'}">${highlightedCode}</code></pre>`;
-};
+renderer.code = renderCodeBlock;
 
 marked.setOptions({
   renderer: renderer,
@@ -75,134 +170,348 @@ marked.setOptions({
   gfm: true
 });
 
-// Blog post cache with file watching and polling fallback
-let postsCache = null;
+// Callouts, footnotes and heading anchors, math and diagram placeholders
+marked.use(markdownExtensions, mathExtensions, diagramExtensions);
+
+// Mermaid diagrams are drawn once and kept as SVG files
+const diagramRenderer = createDiagramRenderer(path.join(CACHE_DIR, 'mermaid'));
+
+// Blog post cache, updated incrementally by the posts directory watcher
+let postsCache = null; // Sorted posts, rebuilt from postFiles after each change
+let searchIndex = null; // Built together with postsCache
+let postFiles = null; // Parsed post (or null when invalid) by file key
 let postsWatcher = null;
-let lastDirectoryCheck = 0;
-let directoryStats = new Map();
+let directoryStats = new Map(); // { lastModified, assetsModified } by file key, as of the last scan
+let postsUpdate = Promise.resolve();
+const postEvents = createEventStream(); // Live updates for open pages
+const incompleteRenders = new Set(); // Ids of posts whose diagrams could not be drawn, kept out of caches
+const loggedPreviewLinks = new Map(); // Preview token last logged, by post id
+let publicationTimer = null; // Fires when the next scheduled post goes live
+let publicationCheck = new Date(); // Posts public at this time were already announced
+
+// Bump when parsePost output changes, to discard the persistent cache
+const POST_PARSER_VERSION = 9;
+const postCache = createPostCache(path.join(CACHE_DIR, 'posts.json'), {
+  parser: POST_PARSER_VERSION,
+  marked: require('marked/package.json').version,
+  highlight: require('highlight.js/package.json').version,
+  katex: require('katex/package.json').version,
+  sanitizer: [require('sanitize-html/package.json').version, HTML_ALLOWED_TAGS, HTML_IFRAME_HOSTS],
+  author: SITE_AUTHOR,
+  language: SITE_LANGUAGE
+});
+
+// Optional revision history, when POSTS_DIR is a git repository (POSTS_GIT=true)
+const postsGit = process.env.POSTS_GIT === 'true' ? createGitHistory(POSTS_DIR, { authorName: SITE_AUTHOR }) : null;
+let gitEnabled = false;
+let gitHead = null;
+let gitDates = new Map(); // Last commit date by post path ("post.md" or "post-dir")
 
-// Helper function to parse tags from frontmatter
-function parseTags(tagsString) {
-  if (!tagsString) return [];
+// Reload commit dates when HEAD moved; returns true when they changed
+async function refreshGitDates() {
+  if (!gitEnabled) return false;
   
-  // Remove any quotes and brackets
-  const cleanString = tagsString.replace(/^[\[\"]|[\]\"]$/g, '').trim();
+  try {
+    const head = await postsGit.head();
+    if (head === gitHead) return false;
+    
+    gitDates = await postsGit.lastCommitDates();
+    gitHead = head;
+    return true;
+  } catch (error) {
+    console.warn(`⚠️  Could not read the git history of ${POSTS_DIR}:`, error.message);
+    return false;
+  }
+}
+
+// Path of a post in the posts directory, as used by git
+function postGitPath(post) {
+  return post.isDirectoryPost ? post.id : `${post.id}.md`;
+}
+
+// The frontmatter `updated` date wins; otherwise the last commit, when later than the post date
+function withGitUpdated(post) {
+  const committed = gitDates.get(postGitPath(post));
+  if (post.updated || !committed || committed.slice(0, 10) <= String(post.date).slice(0, 10)) {
+    return post;
+  }
+  return { ...post, updated: committed };
+}
+
+// Post id for a watched file key ("post.md" or "post-dir/index.md")
+function postIdFromKey(key) {
+  return key.includes('/') ? key.split('/')[0] : path.basename(key, '.md');
+}
+
+// Run cache updates one at a time, in order
+function queuePostsUpdate(task) {
+  const run = postsUpdate.then(task);
+  postsUpdate = run.catch(() => {});
+  return run;
+}
+
+// Watch the posts directory once the cache is warm
+// WATCH_MODE: auto (default), events or poll
+async function initializePostsWatcher() {
+  if (postsGit) {
+    gitEnabled = await postsGit.init();
+    console.log(gitEnabled ?
+      `📚 Revision history enabled from the git repository of ${POSTS_DIR}` :
+      `⚠️  POSTS_GIT is set but ${POSTS_DIR} is not a git repository with commits (or git is missing)`);
+  }
   
-  // Try parsing as JSON first
   try {
-    if (tagsString.startsWith('[') || tagsString.includes('"')) {
-      const parsed = JSON.parse(tagsString);
-      return Array.isArray(parsed) ? parsed : [parsed];
-    }
-  } catch (e) {
-    // Fall back to comma separation
+    await loadPosts();
+  } catch (error) {
+    console.warn('Error loading posts:', error.message);
   }
   
-  // Handle comma-separated values
-  return cleanString.split(',').map(tag => 
-    tag.trim().replace(/^["']|["']$/g, '')
-  ).filter(tag => tag.length > 0);
+  postsWatcher = watchDirectory(POSTS_DIR, checkForDirectoryChanges, {
+    mode: process.env.WATCH_MODE || 'auto'
+  });
+  
+  const filesystem = postsWatcher.filesystemType ? ` on ${postsWatcher.filesystemType}` : '';
+  console.log(`👀 Monitoring posts directory with ${postsWatcher.mode === 'poll' ? 'polling' : 'file system events'}${filesystem}: ${POSTS_DIR}`);
 }
 
-// Simple polling-based file watching (works on all platforms)
-function initializePostsWatcher() {
-  console.log(`👀 Monitoring posts directory with polling: ${POSTS_DIR}`);
-  
-  // Check for changes every 2 seconds
-  setInterval(async () => {
-    await checkForDirectoryChanges();
-  }, 2000);
+// Latest mtime of the files under a post directory (subdirectories included),
+// skipping the files `skip` accepts
+async function findNewestFile(dirPath, skip) {
+  let newestFile = 0;
+  for (const entry of await fs.readdir(dirPath, { withFileTypes: true })) {
+    const entryPath = path.join(dirPath, entry.name);
+    if (entry.isDirectory()) {
+      newestFile = Math.max(newestFile, await findNewestFile(entryPath, () => false));
+    } else if (entry.isFile() && !skip(entry)) {
+      newestFile = Math.max(newestFile, (await fs.stat(entryPath)).mtime.getTime());
+    }
+  }
+  return newestFile;
 }
 
-// Check for directory changes (polling fallback)
-async function checkForDirectoryChanges() {
-  const now = Date.now();
-  if (now - lastDirectoryCheck < 1500) return; // Throttle checks
+// List post files (standalone .md files and .md files in post directories)
+// with their modification time, skipping macOS metadata files
+// lastModified covers the post assets too; assetsModified is their own latest mtime
+async function scanPostFiles() {
+  const entries = await fs.readdir(POSTS_DIR, { withFileTypes: true });
+  const files = new Map();
+  const isMarkdownFile = entry => entry.isFile() && entry.name.endsWith('.md') && !entry.name.startsWith('._');
   
-  lastDirectoryCheck = now;
+  for (const file of entries.filter(isMarkdownFile)) {
+    const stats = await fs.stat(path.join(POSTS_DIR, file.name));
+    files.set(file.name, { lastModified: stats.mtime.getTime(), assetsModified: 0 });
+  }
   
-  try {
-    const entries = await fs.readdir(POSTS_DIR, { withFileTypes: true });
-    const postDirs = entries.filter(entry => entry.isDirectory());
-    const markdownFiles = entries.filter(entry => entry.isFile() && entry.name.endsWith('.md'));
-    
-    let hasChanges = false;
-    const currentStats = new Map();
-    
-    // Check standalone markdown files (excluding macOS metadata files)
-    for (const file of markdownFiles) {
-      // Skip macOS metadata files
-      if (file.name.startsWith('._')) {
-        continue;
-      }
-      
-      const filePath = path.join(POSTS_DIR, file.name);
-      const stats = await fs.stat(filePath);
-      const lastModified = stats.mtime.getTime();
+  for (const dir of entries.filter(entry => entry.isDirectory())) {
+    try {
+      const dirPath = path.join(POSTS_DIR, dir.name);
+      const dirEntries = await fs.readdir(dirPath, { withFileTypes: true });
       
-      currentStats.set(file.name, lastModified);
+      // Other files of the directory may be included in the post, and images
+      // give it their size, so they count as changes to it
+      const newestFile = await findNewestFile(dirPath, isMarkdownFile);
       
-      if (!directoryStats.has(file.name) || directoryStats.get(file.name) !== lastModified) {
-        hasChanges = true;
-        console.log(`📝 Post change detected: ${file.name}`);
+      for (const mdFile of dirEntries.filter(isMarkdownFile)) {
+        const stats = await fs.stat(path.join(dirPath, mdFile.name));
+        files.set(`${dir.name}/${mdFile.name}`, {
+          lastModified: Math.max(stats.mtime.getTime(), newestFile),
+          assetsModified: newestFile
+        });
       }
+    } catch (error) {
+      console.warn(`⚠️  Could not read directory ${dir.name}:`, error.message);
     }
-    
-    // Check directory-based posts (any .md files in subdirectories)
-    for (const dir of postDirs) {
-      try {
-        const dirPath = path.join(POSTS_DIR, dir.name);
-        const dirEntries = await fs.readdir(dirPath, { withFileTypes: true });
-        const markdownFilesInDir = dirEntries.filter(entry => 
-          entry.isFile() && entry.name.endsWith('.md')
-        );
-        
-        for (const mdFile of markdownFilesInDir) {
-          // Skip macOS metadata files
-          if (mdFile.name.startsWith('._')) {
-            continue;
-          }
-          
-          const filePath = path.join(dirPath, mdFile.name);
-          const stats = await fs.stat(filePath);
-          const lastModified = stats.mtime.getTime();
-          const key = `${dir.name}/${mdFile.name}`;
-          
-          currentStats.set(key, lastModified);
-          
-          if (!directoryStats.has(key) || directoryStats.get(key) !== lastModified) {
-            hasChanges = true;
-            console.log(`📝 Post change detected: ${key}`);
-          }
-        }
-      } catch (error) {
-        console.warn(`⚠️  Could not check directory ${dir.name}:`, error.message);
-      }
+  }
+  
+  return files;
+}
+
+// Diff the posts directory against the last scan and update the cache
+async function checkForDirectoryChanges() {
+  const currentStats = await scanPostFiles();
+  const changes = { added: [], changed: [], deleted: [] };
+  
+  currentStats.forEach(({ lastModified }, key) => {
+    if (!directoryStats.has(key)) {
+      changes.added.push(key);
+      console.log(`📝 Post added: ${key}`);
+    } else if (directoryStats.get(key).lastModified !== lastModified) {
+      changes.changed.push(key);
+      console.log(`📝 Post change detected: ${key}`);
     }
-    
-    // Check for deleted files
-    for (const [file] of directoryStats) {
-      if (!currentStats.has(file)) {
-        hasChanges = true;
-        console.log(`🗑️ Post deleted: ${file}`);
-      }
+  });
+  
+  directoryStats.forEach((entry, key) => {
+    if (!currentStats.has(key)) {
+      changes.deleted.push(key);
+      console.log(`🗑️ Post deleted: ${key}`);
     }
-    
-    if (hasChanges) {
-      directoryStats = currentStats;
-      postsCache = null; // Invalidate cache
+  });
+  
+  directoryStats = currentStats;
+  
+  if (changes.added.length + changes.changed.length + changes.deleted.length > 0) {
+    await queuePostsUpdate(() => applyPostChanges(changes));
+  } else if (gitEnabled) {
+    // A commit only changes .git, and may update the dates of posts
+    await queuePostsUpdate(async () => {
+      if (await refreshGitDates() && postFiles) rebuildPostsCache();
+    });
+  }
+}
+
+// Re-parse only the added and changed files and merge them into the cache
+async function applyPostChanges({ added, changed, deleted }) {
+  // Drop generated social cards and precompressed responses of edited or deleted posts
+  const ogCacheDir = path.join(CACHE_DIR, 'og');
+  const changedPostIds = new Set([...changed, ...deleted].map(postIdFromKey));
+  await Promise.all([...changedPostIds].map(postId => Promise.all([
+    invalidateOgImage(postId, ogCacheDir),
+    invalidatePrecompressed(postId, PRECOMPRESSED_DIR)
+  ])));
+  
+  // Not loaded yet: the first loadPosts() reads everything anyway
+  if (!postFiles) return;
+  
+  const events = [];
+  // Deleted posts by id; a post moved to another file (post.md -> post/index.md) is only changed
+  const removed = new Map();
+  
+  deleted.forEach(key => {
+    const previous = postFiles.get(key);
+    if (previous) removed.set(previous.id, previous);
+    postFiles.delete(key);
+    postCache.remove(key);
+  });
+  
+  for (const key of [...added, ...changed]) {
+    try {
+      const previous = postFiles.get(key) || removed.get(postIdFromKey(key)) || null;
+      const post = await readPostFile(key, directoryStats.get(key).assetsModified);
+      postFiles.set(key, post);
+      // Invalid posts keep readers on the last version they received
+      if (post) {
+        removed.delete(post.id);
+        events.push({ type: previous ? 'changed' : 'added', post, previous });
+      }
+    } catch (error) {
+      // Removed again before it could be read; the next scan reports it
+      console.warn(`⚠️  Could not read post ${key}:`, error.message);
     }
-  } catch (error) {
-    console.warn('Error checking directory changes:', error.message);
   }
+  removed.forEach(previous => events.push({ type: 'deleted', post: previous, previous }));
+  
+  await refreshGitDates();
+  rebuildPostsCache();
+  await postCache.save();
+  
+  events.forEach(broadcastPostEvent);
 }
 
-// Load and parse blog posts
-async function loadPosts() {
-  if (postsCache) {
-    return postsCache;
+// Tell open pages about a post change
+// Unlisted posts are only reported to the pages showing them, unpublished
+// ones to their private preview
+// `since`: when `previous` was current (default: now)
+function broadcastPostEvent({ type, post, previous, since }) {
+  const now = new Date();
+  const listed = type !== 'deleted' && isListed(post, now);
+  
+  postEvents.broadcast('post', {
+    type,
+    id: post.id,
+    title: post.title,
+    tags: post.tags,
+    // Newly visible in listings: a new post, a draft or a scheduled post going live
+    published: listed && !(previous && isListed(previous, since || now))
+  }, client => isListed(post, now) || client.previewPostId === post.id ||
+    (client.postId === post.id && isPublished(post, now)));
+}
+
+// Wait for the next scheduled post to go live, and announce it then
+function schedulePublicationEvents() {
+  clearTimeout(publicationTimer);
+  publicationCheck = new Date();
+  
+  const next = Math.min(...postsCache
+    .filter(post => getPostStatus(post, publicationCheck) === 'scheduled')
+    .map(post => getPublishDate(post).getTime()));
+  if (next === Infinity) return;
+  
+  // setTimeout() delays are capped at about 24.8 days; later posts wait another round
+  publicationTimer = setTimeout(announcePublishedPosts, Math.min(next - publicationCheck.getTime(), 2 ** 31 - 1));
+  publicationTimer.unref();
+}
+
+function announcePublishedPosts() {
+  const since = publicationCheck;
+  const now = new Date();
+  postsCache
+    .filter(post => isPublished(post, now) && !isPublished(post, since))
+    .forEach(post => broadcastPostEvent({ type: 'changed', post, previous: post, since }));
+  schedulePublicationEvents();
+}
+
+// Parse a post file, reusing the persistent cache when neither it nor its
+// assets changed (assetsModified: latest mtime of the assets, from scanPostFiles)
+async function readPostFile(key, assetsModified) {
+  const filePath = path.join(POSTS_DIR, key);
+  const identifier = key.includes('/') ? key.split('/')[0] : key;
+  const stats = await fs.stat(filePath);
+  
+  const cached = postCache.get(key, stats, assetsModified);
+  if (cached) return cached;
+  
+  const content = await fs.readFile(filePath, 'utf-8');
+  // Files included with {{< include >}} are rendered into the post too
+  const includes = await readIncludes(content, {
+    postDir: path.dirname(filePath),
+    isDirectoryPost: path.basename(filePath) === 'index.md'
+  });
+  const hash = hashContent([content, ...includes.values()].join('\0'));
+  const unchanged = postCache.getByHash(key, hash, stats, assetsModified);
+  if (unchanged) return unchanged;
+  
+  const { post, diagramErrors } = await parsePost(filePath, identifier, content, stats);
+  
+  // Diagrams left as source are drawn again on the next parse
+  if (post && diagramErrors.length > 0) {
+    console.warn(`⚠️  ${filePath}: ${diagramErrors.length} mermaid diagram(s) not rendered, kept as source until the next change or restart (${diagramErrors[0]})`);
+    incompleteRenders.add(post.id);
+  } else if (post) {
+    incompleteRenders.delete(post.id);
   }
+  
+  if (post && diagramErrors.length === 0) {
+    postCache.set(key, { stats, assetsModified, hash, post, hasIncludes: includes.size > 0 });
+  } else {
+    postCache.remove(key); // Invalid or incomplete posts are parsed again
+  }
+  return post;
+}
 
+// Rebuild the sorted posts list and the search index from postFiles
+function rebuildPostsCache() {
+  const posts = [...postFiles.values()].filter(Boolean).map(withGitUpdated);
+  
+  // Sort by date (newest first)
+  posts.sort((a, b) => new Date(b.date) - new Date(a.date));
+  
+  postsCache = posts;
+  searchIndex = buildSearchIndex(posts, { defaultLanguage: SITE_LANGUAGE });
+
+  // Share preview links for posts that are not public yet, once per token
+  posts.filter(post => !isPublished(post)).forEach(post => {
+    const token = createPreviewToken(post.id);
+    if (loggedPreviewLinks.get(post.id) === token) return;
+    loggedPreviewLinks.set(post.id, token);
+    console.log(`🔒 ${getPostStatus(post)} post ${post.id}: /posts/${post.id}?preview=${token}`);
+  });
+
+  schedulePublicationEvents();
+}
+
+// Read and parse every post file
+async function loadAllPosts() {
   try {
     await fs.access(POSTS_DIR);
   } catch {
@@ -211,121 +520,197 @@ async function loadPosts() {
     await createSamplePosts();
   }
 
-  const entries = await fs.readdir(POSTS_DIR, { withFileTypes: true });
-  const posts = [];
+  await postCache.load();
   
-  // Process standalone markdown files (excluding macOS metadata files)
-  const markdownFiles = entries.filter(entry => 
-    entry.isFile() && 
-    entry.name.endsWith('.md') && 
-    !entry.name.startsWith('._')
-  );
-  for (const file of markdownFiles) {
-    const filePath = path.join(POSTS_DIR, file.name);
-    const post = await parsePost(filePath, file.name);
-    if (post) posts.push(post);
+  const files = await scanPostFiles();
+  const parsed = new Map();
+  for (const [key, { assetsModified }] of files) {
+    parsed.set(key, await readPostFile(key, assetsModified));
   }
   
-  // Process directory-based posts (any .md file in subdirectories)
-  const directories = entries.filter(entry => entry.isDirectory());
-  for (const dir of directories) {
-    try {
-      const dirPath = path.join(POSTS_DIR, dir.name);
-      const dirEntries = await fs.readdir(dirPath, { withFileTypes: true });
-      const markdownFilesInDir = dirEntries.filter(entry => 
-        entry.isFile() && 
-        entry.name.endsWith('.md') && 
-        !entry.name.startsWith('._')
-      );
-      
-      // Process each markdown file in the directory
-      for (const mdFile of markdownFilesInDir) {
-        const filePath = path.join(dirPath, mdFile.name);
-        const post = await parsePost(filePath, dir.name);
-        if (post) posts.push(post);
-      }
-    } catch (error) {
-      console.warn(`⚠️  Could not read directory ${dir.name}:`, error.message);
-    }
+  directoryStats = files;
+  postFiles = parsed;
+  postCache.prune(files.keys());
+  await refreshGitDates();
+  rebuildPostsCache();
+  await postCache.save();
+}
+
+// Load and parse blog posts
+async function loadPosts() {
+  if (postsCache) {
+    return postsCache;
   }
   
-  // Sort by date (newest first)
-  posts.sort((a, b) => new Date(b.date) - new Date(a.date));
+  await queuePostsUpdate(async () => {
+    if (!postsCache) await loadAllPosts();
+  });
+  return postsCache;
+}
+
+// Posts shown in listings, tags, search, feeds and sitemap
+// Drafts, scheduled and unlisted posts are left out
+async function loadListedPosts() {
+  const now = new Date();
+  const posts = await loadPosts();
+  return posts.filter(post => isListed(post, now));
+}
+
+// Render the markdown body of a post to HTML: { html, diagramErrors }
+// Directory posts (postDir/index.md) may reference their assets with relative paths
+async function renderMarkdown(markdownContent, { postDir, isDirectoryPost }) {
+  const postDirName = path.basename(postDir);
   
-  postsCache = posts;
+  // Process markdown with shortcodes and relative image support
+  let processedMarkdown = await expandShortcodes(markdownContent, { postDir, isDirectoryPost });
+  if (isDirectoryPost) {
+    // Replace relative image paths with absolute paths
+    processedMarkdown = processedMarkdown.replace(
+      /!\[([^\]]*)\]\((?!http)([^)]+)\)/g,
+      (match, alt, src) => {
+        // Convert relative path to absolute path
+        const imagePath = `/api/posts/${postDirName}/assets/${src}`;
+        return `![${alt}](${imagePath})`;
+      }
+    );
+  }
   
-  return posts;
+  // Raw HTML in the markdown is filtered by the allowlist; math, diagrams
+  // and embeds are rendered after it, and local images get srcset variants,
+  // intrinsic size and lazy loading
+  const assetPrefix = `/api/posts/${postDirName}/assets/`;
+  const { html, errors: diagramErrors } = await diagramRenderer.renderDiagrams(
+    renderEmbeds(renderMath(sanitizePostHtml(marked(processedMarkdown))))
+  );
+  const enhancedHtml = await enhanceImages(html, src => {
+    if (!isDirectoryPost || !src.startsWith(assetPrefix)) return null;
+    try {
+      const assetPath = path.resolve(postDir, decodeURIComponent(src.slice(assetPrefix.length)));
+      return assetPath.startsWith(path.resolve(postDir) + path.sep) ? assetPath : null;
+    } catch {
+      return null; // Malformed URL encoding
+    }
+  });
+  return { html: enhancedHtml, diagramErrors };
 }
 
-// Parse a single post file
-async function parsePost(filePath, identifier) {
+// Parse a single post file from its content and stats
+// Returns { post, diagramErrors }: post is null when the file is invalid,
+// diagramErrors lists the diagrams left as source
+async function parsePost(filePath, identifier, content, stats) {
+  const invalid = { post: null, diagramErrors: [] };
   try {
-    const content = await fs.readFile(filePath, 'utf-8');
-    const stats = await fs.stat(filePath);
-    
     // Extract the post directory for relative image paths
     const postDir = path.dirname(filePath);
     const postDirName = path.basename(postDir);
     const isDirectoryPost = path.basename(filePath) === 'index.md';
     
-    // Parse frontmatter
-    const frontmatterMatch = content.match(/^---\n([\s\S]*?)\n---\n([\s\S]*)$/);
-    let metadata = {};
-    let markdownContent = content;
-    
-    if (frontmatterMatch) {
-      const frontmatter = frontmatterMatch[1];
-      markdownContent = frontmatterMatch[2];
-      
-      // Parse YAML-like frontmatter
-      frontmatter.split('\n').forEach(line => {
-        const [key, ...valueParts] = line.split(':');
-        if (key && valueParts.length) {
-          const value = valueParts.join(':').trim().replace(/^["']|["']$/g, '');
-          if (key.trim() === 'tags' && value.includes(',')) {
-            metadata[key.trim()] = value;
-          } else {
-            metadata[key.trim()] = value;
-          }
-        }
-      });
+    // Parse and validate YAML frontmatter
+    const { metadata, body: markdownContent, errors, warnings } = parseFrontmatter(content, filePath);
+    warnings.forEach(warning => console.warn(`⚠️  ${formatFrontmatterIssue(warning)}`));
+
+    if (errors.length > 0) {
+      errors.forEach(error => console.error(`❌ ${formatFrontmatterIssue(error)}`));
+      return invalid;
     }
     
-    // Process markdown with relative image support
-    let processedMarkdown = markdownContent;
-    if (isDirectoryPost) {
-      // Replace relative image paths with absolute paths
-      processedMarkdown = markdownContent.replace(
-        /!\[([^\]]*)\]\((?!http)([^)]+)\)/g,
-        (match, alt, src) => {
-          // Convert relative path to absolute path
-          const imagePath = `/api/posts/${postDirName}/assets/${src}`;
-          return `![${alt}](${imagePath})`;
-        }
-      );
+    const { html: htmlContent, diagramErrors } = await renderMarkdown(markdownContent, { postDir, isDirectoryPost });
+
+    // Social image: cover from frontmatter (relative to the post directory), else the first
+    // image of the post, else the generated card
+    let cover = metadata.cover || null;
+    if (cover && isDirectoryPost && !/^(https?:)?\/\//.test(cover) && !cover.startsWith('/')) {
+      cover = `/api/posts/${postDirName}/assets/${cover.replace(/^\.\//, '')}`;
     }
-    
-    const htmlContent = marked(processedMarkdown);
     const excerpt = markdownContent.substring(0, 200) + '...';
+    const plainText = stripHtml(htmlContent);
+    const description = metadata.excerpt ||
+      (plainText.length > 160 ? plainText.substring(0, 157).replace(/\s+\S*$/, '') + '...' : plainText);
     
     // Use directory name or filename as ID
     const postId = isDirectoryPost ? postDirName : path.basename(identifier, '.md');
     
-    return {
+    const post = {
       id: postId,
-      title: metadata.title || postId.replace(/-/g, ' '),
-      author: metadata.author || 'Anonymous',
-      date: metadata.date || stats.birthtime.toISOString().split('T')[0],
-      tags: metadata.tags ? parseTags(metadata.tags) : [],
+      title: metadata.title,
+      author: metadata.author || SITE_AUTHOR,
+      date: metadata.date,
+      updated: metadata.updated || null,
+      lastModified: stats.mtime.toISOString(),
+      tags: metadata.tags || [],
+      lang: metadata.lang || SITE_LANGUAGE,
+      cover,
+      image: cover || findFirstImage(htmlContent) || `/api/posts/${postId}/og.png`,
+      series: metadata.series || null,
+      seriesSlug: metadata.series ? slugify(metadata.series) : null,
+      seriesOrder: metadata.seriesOrder !== undefined ? metadata.seriesOrder : null,
+      draft: metadata.draft === true,
+      unlisted: metadata.unlisted === true,
+      publishAt: metadata.publishAt || null,
       excerpt: metadata.excerpt || excerpt,
+      description,
       content: htmlContent,
+      toc: buildToc(htmlContent),
       readTime: Math.ceil(markdownContent.split(' ').length / 200),
       isDirectoryPost
     };
+    return { post, diagramErrors };
   } catch (error) {
     console.error(`Error parsing post ${filePath}:`, error);
-    return null;
+    return invalid;
+  }
+}
+
+// Resolve the public base URL of the site (no trailing slash)
+function getSiteUrl(req) {
+  return SITE_URL || `${req.protocol}://${req.get('host')}`;
+}
+
+// Answer with a 304 when the posts a response is built from did not change
+// `extra` holds other inputs of the response (status, ids, ...)
+function isNotModified(req, res, posts, ...extra) {
+  return handleConditionalRequest(req, res, {
+    etag: postsEtag(posts, ...extra),
+    lastModified: postsLastModified(posts)
+  });
+}
+
+// Send a rendered post with a stored brotli/gzip encoding when the client
+// accepts one. `kind` names the response (page, json) and `parts` must cover
+// everything the body depends on besides the post itself; render() is only
+// called when no encoding is stored yet.
+async function sendPrecompressed(req, res, post, kind, parts, type, render) {
+  res.vary('Accept-Encoding');
+  res.type(type);
+  
+  // Without SITE_URL the body depends on the Host header, so nothing is
+  // stored; posts rendered with missing diagrams are not either. Both are
+  // left to compression().
+  const encoding = req.acceptsEncodings([...ENCODINGS, 'identity']);
+  if (!SITE_URL || !ENCODINGS.includes(encoding) || incompleteRenders.has(post.id)) {
+    return res.send(render());
   }
+  
+  const hash = crypto.createHash('sha1')
+    .update(JSON.stringify([POST_PARSER_VERSION, hashPost(post), ...parts]))
+    .digest('hex');
+  const body = await getPrecompressed(`${post.id}-${kind}`, hash, encoding, render, {
+    cacheDir: PRECOMPRESSED_DIR
+  });
+  
+  // compression() leaves responses that already have an encoding alone
+  res.set('Content-Encoding', encoding);
+  res.send(body);
+}
+
+// Filter posts by tag (case-insensitive)
+function filterPostsByTag(posts, tag) {
+  const normalizedTag = tag.toLowerCase();
+  return posts.filter(post =>
+    post.tags && post.tags.some(postTag =>
+      postTag.toLowerCase() === normalizedTag
+    )
+  );
 }
 
 // Create sample posts
@@ -494,7 +879,9 @@ app.get('/api/posts', async (req, res) => {
     const limit = parseInt(req.query.limit) || 10;
     const offset = (page - 1) * limit;
     
-    const allPosts = await loadPosts();
+    const allPosts = await loadListedPosts();
+    if (isNotModified(req, res, allPosts)) return;
+    
     const totalPosts = allPosts.length;
     const posts = allPosts.slice(offset, offset + limit);
     
@@ -502,6 +889,7 @@ app.get('/api/posts', async (req, res) => {
       posts: posts.map(post => ({
         ...post,
         content: undefined, // Don't include full content in list view
+        toc: undefined,
       })),
       pagination: {
         page,
@@ -521,19 +909,14 @@ app.get('/api/posts', async (req, res) => {
 // Get posts by tag
 app.get('/api/posts/tag/:tag', async (req, res) => {
   try {
-    const tag = req.params.tag.toLowerCase();
     const page = parseInt(req.query.page) || 1;
     const limit = parseInt(req.query.limit) || 10;
     const offset = (page - 1) * limit;
     
-    const allPosts = await loadPosts();
+    const allPosts = await loadListedPosts();
     
-    // Filter posts by tag (case-insensitive)
-    const filteredPosts = allPosts.filter(post => 
-      post.tags && post.tags.some(postTag => 
-        postTag.toLowerCase() === tag
-      )
-    );
+    const filteredPosts = filterPostsByTag(allPosts, req.params.tag);
+    if (isNotModified(req, res, filteredPosts)) return;
     
     const totalPosts = filteredPosts.length;
     const posts = filteredPosts.slice(offset, offset + limit);
@@ -542,6 +925,7 @@ app.get('/api/posts/tag/:tag', async (req, res) => {
       posts: posts.map(post => ({
         ...post,
         content: undefined, // Don't include full content in list view
+        toc: undefined,
       })),
       pagination: {
         page,
@@ -559,30 +943,85 @@ app.get('/api/posts/tag/:tag', async (req, res) => {
   }
 });
 
+// Tags of the given posts with their post counts, most used first
+function buildTagCounts(posts) {
+  const tagCounts = {};
+  
+  // Count posts for each tag
+  posts.forEach(post => {
+    if (post.tags && post.tags.length > 0) {
+      post.tags.forEach(tag => {
+        const normalizedTag = tag.toLowerCase();
+        tagCounts[normalizedTag] = (tagCounts[normalizedTag] || 0) + 1;
+      });
+    }
+  });
+  
+  // Convert to array and sort by count (descending)
+  return Object.entries(tagCounts)
+    .map(([tag, count]) => ({ tag, count }))
+    .sort((a, b) => b.count - a.count);
+}
+
 // Get all tags with post counts
 app.get('/api/tags', async (req, res) => {
   try {
-    const allPosts = await loadPosts();
-    const tagCounts = {};
+    const allPosts = await loadListedPosts();
+    if (isNotModified(req, res, allPosts)) return;
     
-    // Count posts for each tag
-    allPosts.forEach(post => {
-      if (post.tags && post.tags.length > 0) {
-        post.tags.forEach(tag => {
-          const normalizedTag = tag.toLowerCase();
-          tagCounts[normalizedTag] = (tagCounts[normalizedTag] || 0) + 1;
-        });
-      }
-    });
+    res.json({ tags: buildTagCounts(allPosts) });
+  } catch (error) {
+    console.error('Error fetching tags:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Series summaries, most recently updated first
+function buildSeriesList(posts) {
+  return [...buildSeries(posts).values()]
+    .map(summarizeSeries)
+    .sort((a, b) => new Date(b.updated) - new Date(a.updated));
+}
+
+// Summary and ordered posts of a series
+function buildSeriesDetail(entry) {
+  return {
+    ...summarizeSeries(entry),
+    posts: entry.posts.map((post, index) => ({
+      ...post,
+      content: undefined, // Don't include full content in series listing
+      toc: undefined,
+      part: index + 1
+    }))
+  };
+}
+
+// Get all series with their post counts
+app.get('/api/series', async (req, res) => {
+  try {
+    const allPosts = await loadListedPosts();
+    if (isNotModified(req, res, allPosts)) return;
     
-    // Convert to array and sort by count (descending)
-    const tags = Object.entries(tagCounts)
-      .map(([tag, count]) => ({ tag, count }))
-      .sort((a, b) => b.count - a.count);
+    res.json({ series: buildSeriesList(allPosts) });
+  } catch (error) {
+    console.error('Error fetching series:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Get the ordered posts of a series
+app.get('/api/series/:slug', async (req, res) => {
+  try {
+    const entry = buildSeries(await loadListedPosts()).get(req.params.slug);
+    
+    if (!entry) {
+      return res.status(404).json({ error: 'Series not found' });
+    }
+    if (isNotModified(req, res, entry.posts)) return;
     
-    res.json({ tags });
+    res.json(buildSeriesDetail(entry));
   } catch (error) {
-    console.error('Error fetching tags:', error);
+    console.error('Error fetching series:', error);
     res.status(500).json({ error: 'Internal server error' });
   }
 });
@@ -599,29 +1038,24 @@ app.get('/api/search', async (req, res) => {
       return res.status(400).json({ error: 'Search query is required' });
     }
     
-    const allPosts = await loadPosts();
-    const searchTerm = query.toLowerCase().trim();
+    const allPosts = await loadListedPosts();
     
-    // Search in title, content (markdown), tags, author, and excerpt
-    const filteredPosts = allPosts.filter(post => {
-      const titleMatch = post.title.toLowerCase().includes(searchTerm);
-      const contentMatch = post.content.toLowerCase().includes(searchTerm);
-      const excerptMatch = post.excerpt.toLowerCase().includes(searchTerm);
-      const authorMatch = post.author.toLowerCase().includes(searchTerm);
-      const tagMatch = post.tags && post.tags.some(tag => 
-        tag.toLowerCase().includes(searchTerm)
-      );
-      
-      return titleMatch || contentMatch || excerptMatch || authorMatch || tagMatch;
-    });
+    // Scores depend on every indexed post, unlisted ones included
+    if (isNotModified(req, res, await loadPosts(), allPosts.map(post => post.id))) return;
     
-    const totalResults = filteredPosts.length;
-    const posts = filteredPosts.slice(offset, offset + limit);
+    // Ranked full-text search, restricted to listed posts
+    const results = searchPosts(searchIndex, allPosts, query.trim());
+    
+    const totalResults = results.length;
+    const pageResults = results.slice(offset, offset + limit);
     
     res.json({
-      posts: posts.map(post => ({
+      posts: pageResults.map(({ post, score, highlights }) => ({
         ...post,
         content: undefined, // Don't include full content in search results
+        toc: undefined,
+        score,
+        highlights
       })),
       pagination: {
         page,
@@ -640,53 +1074,456 @@ app.get('/api/search', async (req, res) => {
   }
 });
 
-// Serve assets (images) from post directories
-app.get('/api/posts/:postId/assets/*', async (req, res) => {
-  try {
-    const postId = req.params.postId;
-    const assetPath = req.params[0]; // Get the rest of the path after /assets/
-    
-    // Construct the full path to the asset
-    const fullPath = path.join(POSTS_DIR, postId, assetPath);
-    
-    // Security: Ensure the path doesn't escape the post directory
-    const resolvedPath = path.resolve(fullPath);
-    const postDir = path.resolve(path.join(POSTS_DIR, postId));
-    
-    if (!resolvedPath.startsWith(postDir)) {
-      return res.status(403).json({ error: 'Access denied' });
-    }
-    
-    // Check if file exists
+// Feeds (RSS 2.0, Atom and JSON Feed), optionally restricted to a single tag
+const feedFormats = {
+  rss: { build: buildRss, type: 'application/rss+xml; charset=utf-8' },
+  atom: { build: buildAtom, type: 'application/atom+xml; charset=utf-8' },
+  json: { build: buildJsonFeed, type: 'application/feed+json; charset=utf-8' }
+};
+
+// Feed document for `posts` (already filtered by tag), as a string
+function buildFeed(format, posts, { siteUrl, tag, feedPath }) {
+  const feed = feedFormats[format].build(posts, {
+    siteUrl,
+    title: tag ? `${SITE_TITLE} - ${tag}` : SITE_TITLE,
+    description: SITE_DESCRIPTION,
+    feedUrl: `${siteUrl}${feedPath}`,
+    language: SITE_LANGUAGE
+  });
+
+  return format === 'json' ? JSON.stringify(feed) : feed;
+}
+
+function sendFeed(format) {
+  return async (req, res) => {
     try {
-      await fs.access(resolvedPath);
-      res.sendFile(resolvedPath);
-    } catch {
-      res.status(404).json({ error: 'Asset not found' });
+      const allPosts = await loadListedPosts();
+      const tag = req.params.tag;
+      const posts = tag ? filterPostsByTag(allPosts, tag) : allPosts;
+
+      if (tag && posts.length === 0) {
+        return res.status(404).json({ error: 'Tag not found' });
+      }
+
+      const siteUrl = getSiteUrl(req);
+      res.type(feedFormats[format].type);
+      res.send(buildFeed(format, posts, { siteUrl, tag, feedPath: req.originalUrl.split('?')[0] }));
+    } catch (error) {
+      console.error('Error generating feed:', error);
+      res.status(500).json({ error: 'Internal server error' });
     }
+  };
+}
+
+app.get('/rss.xml', sendFeed('rss'));
+app.get('/atom.xml', sendFeed('atom'));
+app.get('/feed.json', sendFeed('json'));
+app.get('/api/posts/tag/:tag/feed.xml', sendFeed('rss'));
+app.get('/api/posts/tag/:tag/atom.xml', sendFeed('atom'));
+app.get('/api/posts/tag/:tag/feed.json', sendFeed('json'));
+
+// Sitemap, split into a sitemap index past the 50k URLs limit
+app.get('/sitemap.xml', async (req, res) => {
+  try {
+    const siteUrl = getSiteUrl(req);
+    const pages = paginateSitemap(buildSitemapEntries(await loadListedPosts(), siteUrl));
+
+    res.type('application/xml; charset=utf-8');
+    res.send(pages.length > 1 ? buildSitemapIndex(pages, siteUrl) : buildUrlset(pages[0] || []));
   } catch (error) {
-    console.error('Error serving asset:', error);
+    console.error('Error generating sitemap:', error);
     res.status(500).json({ error: 'Internal server error' });
   }
 });
 
-// Get single post
-app.get('/api/posts/:id', async (req, res) => {
+app.get('/sitemap-:page(\\d+).xml', async (req, res) => {
   try {
-    const posts = await loadPosts();
-    const post = posts.find(p => p.id === req.params.id);
-    
-    if (!post) {
+    const siteUrl = getSiteUrl(req);
+    const pages = paginateSitemap(buildSitemapEntries(await loadListedPosts(), siteUrl));
+    const entries = pages[parseInt(req.params.page) - 1];
+
+    if (!entries) {
+      return res.status(404).json({ error: 'Sitemap not found' });
+    }
+
+    res.type('application/xml; charset=utf-8');
+    res.send(buildUrlset(entries));
+  } catch (error) {
+    console.error('Error generating sitemap:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+app.get('/robots.txt', (req, res) => {
+  res.type('text/plain; charset=utf-8');
+  res.send(buildRobotsTxt(getSiteUrl(req)));
+});
+
+// Posts related to `post` among the listed posts, best first
+function buildRelatedPosts(post, listedPosts, limit) {
+  const related = findRelatedPosts(searchIndex, post, listedPosts, limit);
+  
+  return {
+    posts: related.map(({ post: relatedPost, score }) => ({
+      ...relatedPost,
+      content: undefined, // Don't include full content in related posts
+      toc: undefined,
+      score
+    }))
+  };
+}
+
+// Get posts related to a post (shared tags and content similarity)
+app.get('/api/posts/:id/related', async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit) || 5, 20);
+    const posts = await loadPosts();
+    const post = posts.find(p => p.id === req.params.id);
+    
+    if (!post || !isPublished(post)) {
+      return res.status(404).json({ error: 'Post not found' });
+    }
+    
+    const listedPosts = await loadListedPosts();
+    if (isNotModified(req, res, posts, listedPosts.map(listedPost => listedPost.id))) return;
+    
+    res.json(buildRelatedPosts(post, listedPosts, limit));
+  } catch (error) {
+    console.error('Error fetching related posts:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Generated Open Graph card (1200x630 PNG)
+app.get('/api/posts/:id/og.png', async (req, res) => {
+  try {
+    const posts = await loadPosts();
+    const post = posts.find(p => p.id === req.params.id);
+    
+    if (!post || (!isPublished(post) && !verifyPreviewToken(post.id, req.query.preview))) {
+      return res.status(404).json({ error: 'Post not found' });
+    }
+    
+    const imagePath = await getOgImage(post, {
+      cacheDir: path.join(CACHE_DIR, 'og'),
+      siteTitle: SITE_TITLE
+    });
+    
+    res.set('Cache-Control', 'public, max-age=86400');
+    res.sendFile(imagePath);
+  } catch (error) {
+    console.error('Error generating OG image:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Serve assets (images) from post directories
+const ASSET_MAX_AGE = 24 * 60 * 60 * 1000; // 1 day
+// Images can be resized and converted on the fly, e.g. ?w=800&format=webp
+app.get('/api/posts/:postId/assets/*', async (req, res) => {
+  try {
+    const postId = req.params.postId;
+    const assetPath = req.params[0]; // Get the rest of the path after /assets/
+    
+    // Construct the full path to the asset
+    const fullPath = path.join(POSTS_DIR, postId, assetPath);
+    
+    // Security: Ensure the path doesn't escape the post directory
+    const resolvedPath = path.resolve(fullPath);
+    const postDir = path.resolve(path.join(POSTS_DIR, postId));
+    
+    if (!resolvedPath.startsWith(postDir)) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+    
+    // Any width is accepted, and served with the closest generated one
+    const width = req.query.w !== undefined ? snapWidth(Number(req.query.w)) : null;
+    const format = req.query.format || null;
+    
+    if (req.query.w !== undefined && width === null) {
+      return res.status(400).json({ error: 'Invalid width, expected a positive number' });
+    }
+    if (format !== null && !IMAGE_FORMATS.includes(format)) {
+      return res.status(400).json({ error: `Invalid format, expected one of: ${IMAGE_FORMATS.join(', ')}` });
+    }
+    
+    // Check if file exists
+    try {
+      await fs.access(resolvedPath);
+    } catch {
+      return res.status(404).json({ error: 'Asset not found' });
+    }
+    
+    // Other files (SVG, GIF, ...) are always sent as-is
+    if ((width || format) && isResizable(resolvedPath)) {
+      const variant = await getImageVariant(resolvedPath, { width, format }, {
+        cacheDir: path.join(CACHE_DIR, 'images')
+      });
+      res.type(getMimeType(variant.format));
+      return res.sendFile(variant.filePath, { maxAge: ASSET_MAX_AGE });
+    }
+    
+    // sendFile answers conditional requests from the file's ETag and mtime
+    res.sendFile(resolvedPath, { maxAge: ASSET_MAX_AGE });
+  } catch (error) {
+    console.error('Error serving asset:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Get single post
+app.get('/api/posts/:id', async (req, res) => {
+  try {
+    const posts = await loadPosts();
+    const post = posts.find(p => p.id === req.params.id);
+    
+    if (!post) {
       return res.status(404).json({ error: 'Post not found' });
     }
+
+    // Drafts and scheduled posts are only reachable with their preview token
+    const status = getPostStatus(post);
+    if (status !== 'published') {
+      if (!verifyPreviewToken(post.id, req.query.preview)) {
+        return res.status(404).json({ error: 'Post not found' });
+      }
+      res.set('X-Robots-Tag', 'noindex');
+    } else if (post.unlisted) {
+      res.set('X-Robots-Tag', 'noindex');
+    }
+    
+    const notModified = handleConditionalRequest(req, res, {
+      etag: postsEtag([post], status),
+      lastModified: postsLastModified([post]),
+      cacheControl: status !== 'published' ? 'private, no-store' : undefined
+    });
+    if (notModified) return;
+    
+    // Private previews are not worth storing
+    if (status !== 'published') {
+      return res.json({ ...post, status });
+    }
     
-    res.json(post);
+    await sendPrecompressed(req, res, post, 'json', [status], 'json', () => JSON.stringify({ ...post, status }));
   } catch (error) {
     console.error('Error fetching post:', error);
     res.status(500).json({ error: 'Internal server error' });
   }
 });
 
+// Revision history (POSTS_GIT=true)
+// Like the post itself, drafts and scheduled posts need their preview token
+async function findHistoryPost(req, res) {
+  if (!gitEnabled) {
+    res.status(404).json({ error: 'Revision history is not enabled' });
+    return null;
+  }
+  
+  const post = (await loadPosts()).find(p => p.id === req.params.id);
+  if (!post || (!isPublished(post) && !verifyPreviewToken(post.id, req.query.preview))) {
+    res.status(404).json({ error: 'Post not found' });
+    return null;
+  }
+  return post;
+}
+
+function historyCacheControl(post) {
+  return isPublished(post) ? undefined : 'private, no-store';
+}
+
+// Revision of a post from an abbreviated or full commit hash, with the previous one
+async function findRevision(post, sha) {
+  if (!SHA_PATTERN.test(sha)) return null;
+  
+  const revisions = await postsGit.history(postGitPath(post));
+  const index = revisions.findIndex(revision => revision.sha.startsWith(sha));
+  return index === -1 ? null : { revision: revisions[index], previous: revisions[index + 1] || null, revisions };
+}
+
+function describeRevision({ sha, date, author, message }) {
+  return { sha, date, author, message };
+}
+
+app.get('/api/posts/:id/history', async (req, res) => {
+  try {
+    const post = await findHistoryPost(req, res);
+    if (!post) return;
+    
+    const notModified = handleConditionalRequest(req, res, {
+      etag: postsEtag([post], gitHead),
+      lastModified: postsLastModified([post]),
+      cacheControl: historyCacheControl(post)
+    });
+    if (notModified) return;
+    
+    const revisions = await postsGit.history(postGitPath(post));
+    res.json({
+      id: post.id,
+      updated: post.updated,
+      revisions: revisions.map(describeRevision)
+    });
+  } catch (error) {
+    console.error('Error fetching post history:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// A post as it was at a revision, rendered like the current one
+app.get('/api/posts/:id/revisions/:sha', async (req, res) => {
+  try {
+    const post = await findHistoryPost(req, res);
+    if (!post) return;
+    
+    const found = await findRevision(post, req.params.sha);
+    if (!found) {
+      return res.status(404).json({ error: 'Revision not found' });
+    }
+    
+    const { revision } = found;
+    const content = await postsGit.readFileAt(revision.sha, revision.file);
+    if (content === null) {
+      return res.status(404).json({ error: 'The post was deleted in this revision' });
+    }
+    
+    // Not through readPostFile(): an old revision must not touch the post
+    // cache or the diagram state of the current post
+    const { post: parsed } = await parsePost(path.join(POSTS_DIR, revision.file), revision.file, content, {
+      mtime: new Date(revision.date)
+    });
+    if (!parsed) {
+      return res.status(422).json({ error: 'This revision of the post is invalid' });
+    }
+    
+    // The status is the one of the post today: the revision is shown as part of it
+    const notModified = handleConditionalRequest(req, res, {
+      etag: postsEtag([parsed], revision.sha, getPostStatus(post)),
+      lastModified: new Date(revision.date),
+      cacheControl: historyCacheControl(post)
+    });
+    if (notModified) return;
+    
+    res.json({ ...parsed, id: post.id, status: getPostStatus(post), revision: describeRevision(revision) });
+  } catch (error) {
+    console.error('Error fetching post revision:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Changes of the markdown between two revisions, by default those made by :sha
+// ?against=<sha> compares with another revision
+app.get('/api/posts/:id/revisions/:sha/diff', async (req, res) => {
+  try {
+    const post = await findHistoryPost(req, res);
+    if (!post) return;
+    
+    const found = await findRevision(post, req.params.sha);
+    const against = req.query.against ? await findRevision(post, String(req.query.against)) : null;
+    if (!found || (req.query.against && !against)) {
+      return res.status(404).json({ error: 'Revision not found' });
+    }
+    
+    const from = against ? against.revision : found.previous;
+    const to = found.revision;
+    const diff = await postsGit.diffRevisions(from, to);
+    
+    res.set('Cache-Control', historyCacheControl(post) || 'public, no-cache');
+    res.json({
+      from: from ? describeRevision(from) : null,
+      to: describeRevision(to),
+      diff,
+      html: `<pre><code class="hljs language-diff">${hljs.highlight(diff, { language: 'diff' }).value}</code></pre>`
+    });
+  } catch (error) {
+    console.error('Error fetching post diff:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Live post updates (Server-Sent Events)
+// Post pages pass ?post=<id> to follow their post even when unlisted, and
+// private previews add &preview=<token> to follow their unpublished post
+app.get('/api/events', (req, res) => {
+  const postId = typeof req.query.post === 'string' ? req.query.post : null;
+  const previewPostId = postId && verifyPreviewToken(postId, req.query.preview) ? postId : null;
+  
+  postEvents.connect(req, res, { postId, previewPostId });
+});
+
+// Reader comments
+// Enabled with the admin password, which is needed to moderate them
+const commentStore = createCommentStore(COMMENTS_DIR);
+const commentsEnabled = adminAuth.enabled && process.env.COMMENTS_ENABLED !== 'false';
+
+// Every comment is moderated, so a reader has little reason to send many
+const commentLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 5, // comments per IP
+  standardHeaders: true,
+  legacyHeaders: false,
+  message: { error: 'Too many comments, please try again later' }
+});
+
+function sendCommentError(res, error, action) {
+  const status = { ENOENT: 404, EINVAL: 400 }[error.code];
+  if (status) {
+    return res.status(status).json({ error: error.message });
+  }
+  console.error(`Error ${action}:`, error);
+  res.status(500).json({ error: 'Internal server error' });
+}
+
+// Only published posts take comments
+async function findCommentedPost(req, res) {
+  if (!commentsEnabled) {
+    res.status(404).json({ error: 'Comments are not enabled' });
+    return null;
+  }
+
+  const post = (await loadPosts()).find(p => p.id === req.params.id);
+  if (!post || !isPublished(post)) {
+    res.status(404).json({ error: 'Post not found' });
+    return null;
+  }
+  return post;
+}
+
+// Approved comments, as threads of replies
+app.get('/api/posts/:id/comments', async (req, res) => {
+  try {
+    const post = await findCommentedPost(req, res);
+    if (!post) return;
+
+    const comments = await commentStore.getThreads(post.id);
+    if (isNotModified(req, res, [post], comments)) return;
+
+    res.json({ count: countComments(comments), comments });
+  } catch (error) {
+    sendCommentError(res, error, 'fetching comments');
+  }
+});
+
+// New comment: { author, content, parentId? }, queued for moderation
+app.post('/api/posts/:id/comments', commentLimiter, async (req, res) => {
+  try {
+    const post = await findCommentedPost(req, res);
+    if (!post) return;
+
+    const { author, content, parentId, website } = req.body || {};
+
+    // Honeypot: the website field is hidden from readers, so only bots fill it
+    // in. They get the usual answer and nothing is stored.
+    if (website) {
+      return res.status(202).json({ id: crypto.randomBytes(6).toString('hex'), status: 'pending' });
+    }
+
+    const comment = await commentStore.addComment(post.id, { author, content, parentId });
+    console.log(`💬 New comment on ${post.id} awaiting moderation`);
+    res.status(202).json({ id: comment.id, status: comment.status });
+  } catch (error) {
+    sendCommentError(res, error, 'adding comment');
+  }
+});
+
 // Health check
 app.get('/api/health', (req, res) => {
   res.json({ 
@@ -696,6 +1533,422 @@ app.get('/api/health', (req, res) => {
   });
 });
 
+// Admin API
+// Authentication is checked by the /api/admin middleware above
+const postStore = createPostStore(POSTS_DIR);
+
+// Map post store and file system errors to responses
+function sendAdminError(res, error, action) {
+  const status = { ENOENT: 404, EEXIST: 409, EINVAL: 400 }[error.code];
+  if (status) {
+    return res.status(status).json({ error: error.message, ...(error.issues && { issues: error.issues }) });
+  }
+  if (error.code === 'EROFS' || error.code === 'EACCES') {
+    return res.status(503).json({ error: 'Posts directory is not writable' });
+  }
+  console.error(`Error ${action}:`, error);
+  res.status(500).json({ error: 'Internal server error' });
+}
+
+// Record a change made through the API in the git history, when enabled
+// A failed commit is logged: the change itself is already written
+async function commitPostChange(postIds, message) {
+  if (!gitEnabled) return;
+  
+  try {
+    await postsGit.commitPosts(postIds.flatMap(id => [id, `${id}.md`]), message);
+  } catch (error) {
+    console.warn(`⚠️  Could not commit "${message}":`, error.message);
+  }
+}
+
+// Apply a change made through the API right away, instead of waiting for the watcher
+async function syncPostFiles() {
+  await checkForDirectoryChanges();
+  await postsUpdate;
+}
+
+// Where a post can be read: its public URL, or its private preview
+function adminPostUrl(post) {
+  return isPublished(post) ? `/posts/${post.id}` : `/posts/${post.id}?preview=${createPreviewToken(post.id)}`;
+}
+
+async function sendAdminPost(res, id, status = 200) {
+  const source = await postStore.readPost(id);
+  const post = (await loadPosts()).find(p => p.id === id);
+
+  res.status(status).json({
+    ...source,
+    status: post ? getPostStatus(post) : null,
+    url: post ? adminPostUrl(post) : null
+  });
+}
+
+// Every post, drafts and scheduled ones included
+app.get('/api/admin/posts', async (req, res) => {
+  try {
+    const posts = await loadPosts();
+    res.json({
+      posts: posts.map(post => ({
+        id: post.id,
+        title: post.title,
+        date: post.date,
+        updated: post.updated,
+        lastModified: post.lastModified,
+        tags: post.tags,
+        status: getPostStatus(post),
+        unlisted: post.unlisted,
+        url: adminPostUrl(post)
+      }))
+    });
+  } catch (error) {
+    sendAdminError(res, error, 'listing posts');
+  }
+});
+
+// Post source: frontmatter, markdown and assets
+app.get('/api/admin/posts/:id', async (req, res) => {
+  try {
+    await sendAdminPost(res, req.params.id);
+  } catch (error) {
+    sendAdminError(res, error, 'reading post');
+  }
+});
+
+// Create a post: { id?, frontmatter, content }; the id defaults to the slug of the title
+app.post('/api/admin/posts', async (req, res) => {
+  try {
+    const { frontmatter, content } = req.body || {};
+    const id = req.body && req.body.id !== undefined ? req.body.id : slugify((frontmatter && frontmatter.title) || '');
+
+    await postStore.createPost(id, { frontmatter, content });
+    await commitPostChange([id], `Create post ${id}`);
+    await syncPostFiles();
+
+    res.location(`/api/admin/posts/${id}`);
+    await sendAdminPost(res, id, 201);
+  } catch (error) {
+    sendAdminError(res, error, 'creating post');
+  }
+});
+
+// Replace a post: { frontmatter, content }
+app.put('/api/admin/posts/:id', async (req, res) => {
+  try {
+    const { frontmatter, content } = req.body || {};
+    await postStore.updatePost(req.params.id, { frontmatter, content });
+    await commitPostChange([req.params.id], `Update post ${req.params.id}`);
+    await syncPostFiles();
+    await sendAdminPost(res, req.params.id);
+  } catch (error) {
+    sendAdminError(res, error, 'updating post');
+  }
+});
+
+// Rename a post: { id }; its URL changes with it
+app.patch('/api/admin/posts/:id', async (req, res) => {
+  try {
+    const newId = req.body && req.body.id;
+    await postStore.renamePost(req.params.id, newId);
+    await commentStore.renamePost(req.params.id, newId);
+    await commitPostChange([req.params.id, newId], `Rename post ${req.params.id} to ${newId}`);
+    await syncPostFiles();
+
+    res.location(`/api/admin/posts/${newId}`);
+    await sendAdminPost(res, newId);
+  } catch (error) {
+    sendAdminError(res, error, 'renaming post');
+  }
+});
+
+// Delete a post with its assets and comments
+app.delete('/api/admin/posts/:id', async (req, res) => {
+  try {
+    await postStore.deletePost(req.params.id);
+    await commentStore.deletePost(req.params.id);
+    await commitPostChange([req.params.id], `Delete post ${req.params.id}`);
+    await syncPostFiles();
+    res.status(204).end();
+  } catch (error) {
+    sendAdminError(res, error, 'deleting post');
+  }
+});
+
+app.get('/api/admin/posts/:id/assets', async (req, res) => {
+  try {
+    res.json({ assets: await postStore.listAssets(req.params.id) });
+  } catch (error) {
+    sendAdminError(res, error, 'listing assets');
+  }
+});
+
+// Upload an asset: the request body is the file content (read raw by the
+// /api/admin middleware)
+app.put('/api/admin/posts/:id/assets/*', async (req, res) => {
+  try {
+    if (!Buffer.isBuffer(req.body)) {
+      return res.status(400).json({ error: 'Request body must be the file content' });
+    }
+
+    const assetPath = req.params[0];
+    await postStore.writeAsset(req.params.id, assetPath, req.body);
+    await commitPostChange([req.params.id], `Upload ${assetPath} to post ${req.params.id}`);
+    await syncPostFiles();
+
+    res.status(201).json({
+      path: assetPath,
+      url: `/api/posts/${req.params.id}/assets/${assetPath.split('/').map(encodeURIComponent).join('/')}`
+    });
+  } catch (error) {
+    sendAdminError(res, error, 'uploading asset');
+  }
+});
+
+// Rename an asset: { path }
+app.patch('/api/admin/posts/:id/assets/*', async (req, res) => {
+  try {
+    await postStore.renameAsset(req.params.id, req.params[0], req.body && req.body.path);
+    await commitPostChange([req.params.id], `Rename ${req.params[0]} to ${req.body.path} in post ${req.params.id}`);
+    res.json({ assets: await postStore.listAssets(req.params.id) });
+  } catch (error) {
+    sendAdminError(res, error, 'renaming asset');
+  }
+});
+
+app.delete('/api/admin/posts/:id/assets/*', async (req, res) => {
+  try {
+    await postStore.deleteAsset(req.params.id, req.params[0]);
+    await commitPostChange([req.params.id], `Delete ${req.params[0]} from post ${req.params.id}`);
+    res.status(204).end();
+  } catch (error) {
+    sendAdminError(res, error, 'deleting asset');
+  }
+});
+
+// Render markdown exactly as parsePost does: { content, id? }
+// With an id, relative images resolve to the assets of that post
+app.post('/api/admin/preview', async (req, res) => {
+  try {
+    const { content, id } = req.body || {};
+    if (typeof content !== 'string') {
+      return res.status(400).json({ error: '"content" must be a string' });
+    }
+
+    const location = id ? await postStore.locatePost(id) : null;
+    const { html } = await renderMarkdown(content, location ?
+      { postDir: location.directory, isDirectoryPost: location.isDirectoryPost } :
+      { postDir: POSTS_DIR, isDirectoryPost: false });
+    res.json({ html });
+  } catch (error) {
+    sendAdminError(res, error, 'rendering preview');
+  }
+});
+
+// Comment moderation queue: ?status=pending (default) or approved
+app.get('/api/admin/comments', async (req, res) => {
+  try {
+    const status = req.query.status || 'pending';
+    if (!COMMENT_STATUSES.includes(status)) {
+      return res.status(400).json({ error: `"status" must be one of: ${COMMENT_STATUSES.join(', ')}` });
+    }
+
+    const titles = new Map((await loadPosts()).map(post => [post.id, post.title]));
+    const comments = await commentStore.listComments(status);
+    res.json({
+      comments: comments.map(comment => ({ ...comment, postTitle: titles.get(comment.postId) || null }))
+    });
+  } catch (error) {
+    sendCommentError(res, error, 'listing comments');
+  }
+});
+
+// Approve a comment, or send it back to the queue: { status }
+app.patch('/api/admin/comments/:postId/:commentId', async (req, res) => {
+  try {
+    const comment = await commentStore.setStatus(req.params.postId, req.params.commentId, req.body && req.body.status);
+    res.json({ postId: req.params.postId, ...comment });
+  } catch (error) {
+    sendCommentError(res, error, 'moderating comment');
+  }
+});
+
+// Delete a comment with its replies
+app.delete('/api/admin/comments/:postId/:commentId', async (req, res) => {
+  try {
+    await commentStore.deleteComment(req.params.postId, req.params.commentId);
+    res.status(204).end();
+  } catch (error) {
+    sendCommentError(res, error, 'deleting comment');
+  }
+});
+
+// Server-rendered pages
+// Same page size as the infinite scroll in BlogApp, so it can continue from there
+const PAGE_SIZE = 6;
+
+function paginatePosts(posts, page, limit) {
+  const offset = (page - 1) * limit;
+  return {
+    posts: posts.slice(offset, offset + limit).map(post => ({
+      ...post,
+      content: undefined, // Don't include full content in list view
+      toc: undefined
+    })),
+    pagination: {
+      page,
+      limit,
+      total: posts.length,
+      totalPages: Math.ceil(posts.length / limit),
+      hasNext: offset + limit < posts.length,
+      hasPrev: page > 1
+    }
+  };
+}
+
+// Listing pages link to their other pages with ?page=N
+function queryPageUrl(basePath) {
+  return page => page === 1 ? basePath : `${basePath}?page=${page}`;
+}
+
+function renderNotFoundPage() {
+  return renderPage({
+    title: `Page introuvable - ${SITE_TITLE}`,
+    description: SITE_DESCRIPTION,
+    content: renderNotFound(),
+    state: { view: 'not-found' },
+    robots: 'noindex'
+  });
+}
+
+function sendNotFoundPage(res) {
+  res.status(404).send(renderNotFoundPage());
+}
+
+// A page of a listing, or null past the last page
+// pageUrl(page) is the path of a page; canonical URLs are built from siteUrl
+function renderListingPage({ posts, tag, page, siteUrl, pageUrl }) {
+  const { posts: pagePosts, pagination } = paginatePosts(posts, page, PAGE_SIZE);
+
+  if (page > 1 && pagePosts.length === 0) {
+    return null;
+  }
+
+  const pageSuffix = page > 1 ? ` (page ${page})` : '';
+  const title = tag ? `Articles avec le tag "${tag}"${pageSuffix} - ${SITE_TITLE}` : `${SITE_TITLE}${pageSuffix}`;
+  const description = tag ? `Articles avec le tag "${tag}" sur ${SITE_TITLE}` : SITE_DESCRIPTION;
+  const canonicalUrl = `${siteUrl}${pageUrl(page)}`;
+
+  return renderPage({
+    title,
+    description,
+    canonicalUrl,
+    head: buildPageMetaTags({ title, description, url: canonicalUrl, siteTitle: SITE_TITLE }),
+    hero: tag ? `Articles avec le tag "${tag}"` : null,
+    content: renderPostList(pagePosts, page) + renderPagination(pageUrl, pagination),
+    state: { view: 'listing', tag: tag || null, posts: pagePosts, pagination }
+  });
+}
+
+function sendListingPage(req, res, { posts, tag, basePath }) {
+  const html = renderListingPage({
+    posts,
+    tag,
+    page: Math.max(parseInt(req.query.page) || 1, 1),
+    siteUrl: getSiteUrl(req),
+    pageUrl: queryPageUrl(basePath)
+  });
+
+  if (!html) {
+    return sendNotFoundPage(res);
+  }
+
+  res.send(html);
+}
+
+app.get('/', async (req, res) => {
+  try {
+    sendListingPage(req, res, {
+      posts: await loadListedPosts(),
+      basePath: '/'
+    });
+  } catch (error) {
+    console.error('Error rendering home page:', error);
+    res.status(500).send('Internal server error');
+  }
+});
+
+app.get('/tags/:tag', async (req, res) => {
+  try {
+    const tag = req.params.tag;
+    const posts = filterPostsByTag(await loadListedPosts(), tag);
+
+    if (posts.length === 0) {
+      return sendNotFoundPage(res);
+    }
+
+    sendListingPage(req, res, {
+      posts,
+      tag,
+      basePath: `/tags/${encodeURIComponent(tag.toLowerCase())}`
+    });
+  } catch (error) {
+    console.error('Error rendering tag page:', error);
+    res.status(500).send('Internal server error');
+  }
+});
+
+// comments: approved comment threads, rendered under the post when given
+function renderPostPage(post, status, siteUrl, comments = null) {
+  const fullPost = { ...post, status };
+  const canonicalUrl = postUrl(siteUrl, post);
+
+  return renderPage({
+    title: `${post.title} - ${SITE_TITLE}`,
+    description: post.description,
+    canonicalUrl,
+    head: buildPostMetaTags(post, { siteUrl, siteTitle: SITE_TITLE, url: canonicalUrl }),
+    content: renderFullPost(fullPost, { comments }),
+    state: { view: 'post', post: fullPost },
+    robots: status !== 'published' || post.unlisted ? 'noindex' : null
+  });
+}
+
+app.get('/posts/:id', async (req, res) => {
+  try {
+    const posts = await loadPosts();
+    const post = posts.find(p => p.id === req.params.id);
+    const status = post ? getPostStatus(post) : null;
+
+    if (!post || (status !== 'published' && !verifyPreviewToken(post.id, req.query.preview))) {
+      return sendNotFoundPage(res);
+    }
+
+    if (status !== 'published') {
+      res.set('Cache-Control', 'private, no-store');
+    }
+
+    const siteUrl = getSiteUrl(req);
+    const comments = commentsEnabled && status === 'published' ? await commentStore.getThreads(post.id) : null;
+    const render = () => renderPostPage(post, status, siteUrl, comments);
+
+    // Comments change without the post: pages showing them are not stored
+    if (status !== 'published' || comments) {
+      return res.send(render());
+    }
+
+    await sendPrecompressed(req, res, post, 'page', [TEMPLATE_VERSION, siteUrl, SITE_TITLE, status], 'html', render);
+  } catch (error) {
+    console.error('Error rendering post page:', error);
+    res.status(500).send('Internal server error');
+  }
+});
+
+// Post editor, behind the admin password like the API it uses
+app.get('/admin', adminLimiter, adminAuth.requireAdmin, (req, res) => {
+  res.set('Cache-Control', 'no-store');
+  res.sendFile(path.join(__dirname, '../frontend/admin.html'));
+});
+
 // Serve frontend
 app.get('*', (req, res) => {
   res.sendFile(path.join(__dirname, '../frontend/index.html'));
@@ -707,13 +1960,59 @@ app.use((err, req, res, next) => {
   res.status(500).json({ error: 'Something went wrong!' });
 });
 
-// Start server
-app.listen(PORT, () => {
-  console.log(`🚀 Blog server running on http://localhost:${PORT}`);
-  console.log(`📁 Posts directory: ${POSTS_DIR}`);
-  
-  // Initialize file watcher after server starts
-  initializePostsWatcher();
-});
+// Write the site as static files: node backend/server.js export [outDir]
+async function runExport(outDir) {
+  const { exportSite } = require('./export');
+
+  if (!SITE_URL) {
+    throw new Error('SITE_URL is required to export the site (feeds, sitemap and meta tags need absolute URLs)');
+  }
+
+  if (postsGit) gitEnabled = await postsGit.init();
+
+  const packageJson = require('../package.json');
+  const startTime = Date.now();
+  const result = await exportSite(outDir, {
+    siteUrl: SITE_URL,
+    frontendDir: path.join(__dirname, '../frontend'),
+    katexDir: KATEX_DIR,
+    postsDir: POSTS_DIR,
+    pageSize: PAGE_SIZE,
+    version: { version: packageJson.version, name: packageJson.name },
+    loadPosts,
+    loadListedPosts,
+    filterPostsByTag,
+    paginatePosts,
+    buildTagCounts,
+    buildSeriesList,
+    buildSeriesDetail,
+    buildRelatedPosts,
+    buildFeed,
+    renderListingPage,
+    renderPostPage,
+    renderNotFoundPage,
+    getOgImage: post => getOgImage(post, { cacheDir: path.join(CACHE_DIR, 'og'), siteTitle: SITE_TITLE })
+  });
+  await diagramRenderer.close(); // Rather than waiting for it to idle out
+
+  console.log(`📦 Exported ${result.posts} posts (${result.listed} listed) to ${outDir} in ${Date.now() - startTime}ms`);
+}
+
+if (process.argv[2] === 'export') {
+  const outDir = path.resolve(process.argv[3] || path.join(__dirname, '../dist'));
+  runExport(outDir).catch(error => {
+    console.error('❌ Export failed:', error.message);
+    process.exitCode = 1;
+  });
+} else {
+  // Start server
+  app.listen(PORT, () => {
+    console.log(`🚀 Blog server running on http://localhost:${PORT}`);
+    console.log(`📁 Posts directory: ${POSTS_DIR}`);
+
+    // Initialize file watcher after server starts
+    initializePostsWatcher();
+  });
+}
 
 module.exports = app;
\ No newline at end of file
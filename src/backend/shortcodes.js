@@ -0,0 +1,192 @@
+/**
+ * Shortcodes: {{< name args >}} alone on a line, outside code blocks
+ * - {{< youtube VIDEO_ID >}}
+ * - {{< gist user/GIST_ID >}}
+ * - {{< tweet TWEET_ID >}}
+ * - {{< include file="snippet.js" lang="js" >}}: a file of the post directory,
+ *   shown as a code block titled with its name (directory posts only)
+ *
+ * Shortcodes are expanded to markdown before rendering. Embeds become
+ * placeholders holding the embed id, and renderEmbeds() replaces them after
+ * sanitization with a click-to-load box: nothing is requested from the
+ * third party until the reader asks for it.
+ *
+ * Arguments are positional or key="value". Unknown shortcodes, and includes
+ * that cannot be read, are left as text.
+ */
+
+const path = require('path');
+const fs = require('fs').promises;
+const hljs = require('highlight.js');
+
+const MAX_INCLUDE_SIZE = 256 * 1024;
+
+const EMBEDS = {
+  youtube: {
+    pattern: /^[\w-]{6,20}$/,
+    title: 'Vidéo YouTube',
+    label: 'Charger la vidéo YouTube',
+    host: 'www.youtube-nocookie.com',
+    src: id => `https://www.youtube-nocookie.com/embed/${id}?autoplay=1`,
+    link: id => ({ href: `https://www.youtube.com/watch?v=${id}`, text: 'Voir sur YouTube' })
+  },
+  gist: {
+    pattern: /^[\w-]+\/[0-9a-f]+$/i,
+    title: 'Gist GitHub',
+    label: 'Charger le gist',
+    host: 'gist.github.com',
+    src: id => `https://gist.github.com/${id}.pibb`,
+    link: id => ({ href: `https://gist.github.com/${id}`, text: 'Voir sur GitHub' })
+  },
+  tweet: {
+    pattern: /^\d{1,25}$/,
+    title: 'Tweet',
+    label: 'Charger le tweet',
+    host: 'platform.twitter.com',
+    src: id => `https://platform.twitter.com/embed/Tweet.html?id=${id}&dnt=true&theme=dark`,
+    link: id => ({ href: `https://x.com/i/status/${id}`, text: 'Voir sur X' })
+  }
+};
+
+// Hosts the embeds load frames from, for the Content Security Policy
+const EMBED_FRAME_HOSTS = Object.values(EMBEDS).map(embed => embed.host);
+
+// { name, args: [positional...], options: { key: value } } of a shortcode line
+function parseShortcode(line) {
+  const match = /^\{\{<\s*([a-z]+)((?:\s+(?:[\w-]+="[^"]*"|[^\s"]+))*)\s*>\}\}\s*$/.exec(line);
+  if (!match) return null;
+
+  const args = [];
+  const options = {};
+  for (const [, key, value, positional] of match[2].matchAll(/([\w-]+)="([^"]*)"|(\S+)/g)) {
+    if (positional !== undefined) {
+      args.push(positional);
+    } else {
+      options[key] = value;
+    }
+  }
+  return { name: match[1], args, options };
+}
+
+// Shortcodes of a markdown document, with their line index, skipping fenced code
+function findShortcodes(markdown) {
+  const shortcodes = [];
+  let fence = null;
+
+  markdown.split('\n').forEach((line, index) => {
+    const fenceMatch = /^ {0,3}(`{3,}|~{3,})/.exec(line);
+    if (fenceMatch) {
+      if (!fence) {
+        fence = fenceMatch[1];
+      } else if (fenceMatch[1][0] === fence[0] && fenceMatch[1].length >= fence.length && !line.slice(fenceMatch[0].length).trim()) {
+        fence = null;
+      }
+      return;
+    }
+
+    if (!fence && line.startsWith('{{<')) {
+      const shortcode = parseShortcode(line.trimEnd());
+      if (shortcode) shortcodes.push({ index, ...shortcode });
+    }
+  });
+  return shortcodes;
+}
+
+// Path of an included file, which must sit directly in the post directory
+function resolveInclude(postDir, file) {
+  if (!file || file !== path.basename(file) || file.startsWith('.')) return null;
+  return path.join(postDir, file);
+}
+
+async function readInclude(postDir, file) {
+  const filePath = resolveInclude(postDir, file);
+  if (!filePath) throw new Error(`"${file}" must be a file name of the post directory`);
+
+  const stats = await fs.stat(filePath);
+  if (!stats.isFile()) throw new Error(`"${file}" is not a file`);
+  if (stats.size > MAX_INCLUDE_SIZE) throw new Error(`"${file}" is larger than ${MAX_INCLUDE_SIZE / 1024} KB`);
+  return fs.readFile(filePath, 'utf-8');
+}
+
+// Content of the files a post includes, by file name (null when unreadable);
+// part of the cache key of the post, since the post renders them
+async function readIncludes(markdown, { postDir, isDirectoryPost }) {
+  const includes = new Map();
+  if (!isDirectoryPost) return includes;
+
+  for (const { name, options } of findShortcodes(markdown)) {
+    if (name !== 'include' || includes.has(options.file)) continue;
+    includes.set(options.file, await readInclude(postDir, options.file).catch(() => null));
+  }
+  return includes;
+}
+
+function renderInclude({ options }, content) {
+  const extension = path.extname(options.file).slice(1);
+  const language = options.lang || (hljs.getLanguage(extension) ? extension : '');
+  const longestFence = Math.max(2, ...(content.match(/`+/g) || []).map(run => run.length));
+  const fence = '`'.repeat(longestFence + 1);
+  const title = options.file.replace(/"/g, '');
+
+  return `${fence}${language} title="${title}"\n${content.replace(/\n$/, '')}\n${fence}`;
+}
+
+// Replace the shortcodes of a markdown document with markdown and embed placeholders
+async function expandShortcodes(markdown, { postDir, isDirectoryPost }) {
+  const shortcodes = findShortcodes(markdown);
+  if (shortcodes.length === 0) return markdown;
+
+  const lines = markdown.split('\n');
+  for (const shortcode of shortcodes) {
+    const { index, name, args, options } = shortcode;
+    const line = lines[index];
+
+    if (name === 'include') {
+      if (!isDirectoryPost) {
+        console.warn(`⚠️  ${line.trim()}: only posts in their own directory can include files`);
+        continue;
+      }
+      try {
+        lines[index] = renderInclude(shortcode, await readInclude(postDir, options.file));
+      } catch (error) {
+        console.warn(`⚠️  ${line.trim()}: ${error.message}`);
+      }
+    } else if (EMBEDS[name]) {
+      const id = options.id || args.join('/');
+      if (EMBEDS[name].pattern.test(id)) {
+        // Blank lines around, so the placeholder is an HTML block of its own
+        lines[index] = `\n<div class="embed-${name}">${id}</div>\n`;
+      } else {
+        console.warn(`⚠️  ${line.trim()}: invalid ${name} id`);
+      }
+    }
+  }
+  return lines.join('\n');
+}
+
+function escapeHtml(text) {
+  return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+// Replace the embed placeholders of sanitized HTML with click-to-load boxes;
+// the frame is only created by the page script when the button is clicked
+function renderEmbeds(html) {
+  return html.replace(/<div class="embed-(youtube|gist|tweet)">([^<]*)<\/div>/g, (match, name, id) => {
+    const embed = EMBEDS[name];
+    if (!embed.pattern.test(id)) return '';
+
+    const link = embed.link(id);
+    return `<figure class="embed embed-${name}" data-embed-src="${escapeHtml(embed.src(id))}" data-embed-title="${embed.title}">` +
+      `<button type="button" class="embed-load">${embed.label}</button>` +
+      `<figcaption>Contenu hébergé par ${embed.host}, chargé seulement après un clic. ` +
+      `<a href="${escapeHtml(link.href)}" target="_blank" rel="noopener noreferrer">${link.text}</a></figcaption>` +
+      '</figure>';
+  });
+}
+
+module.exports = {
+  EMBED_FRAME_HOSTS,
+  readIncludes,
+  expandShortcodes,
+  renderEmbeds
+};
@@ -0,0 +1,127 @@
+/**
+ * XML sitemap and robots.txt generation
+ * Switches to a sitemap index once the URL count passes the protocol limit
+ */
+
+const { escapeXml } = require('./feeds');
+const { postUrl, tagUrl } = require('./urls');
+
+const MAX_URLS_PER_SITEMAP = 50000;
+
+// Format a date as a W3C datetime (YYYY-MM-DD) for <lastmod>
+function formatLastmod(value) {
+  const date = new Date(value);
+  return isNaN(date.getTime()) ? null : date.toISOString().split('T')[0];
+}
+
+// List every public URL with its metadata: home page, posts and tag listings
+function buildSitemapEntries(posts, siteUrl) {
+  const entries = [];
+  const tagLastModified = new Map();
+  let siteLastModified = null;
+
+  for (const post of posts) {
+    const lastModified = post.lastModified || post.date;
+
+    if (!siteLastModified || new Date(lastModified) > new Date(siteLastModified)) {
+      siteLastModified = lastModified;
+    }
+
+    (post.tags || []).forEach(tag => {
+      const normalizedTag = tag.toLowerCase();
+      const current = tagLastModified.get(normalizedTag);
+      if (!current || new Date(lastModified) > new Date(current)) {
+        tagLastModified.set(normalizedTag, lastModified);
+      }
+    });
+  }
+
+  entries.push({
+    loc: `${siteUrl}/`,
+    lastmod: formatLastmod(siteLastModified),
+    changefreq: 'daily',
+    priority: '1.0'
+  });
+
+  posts.forEach(post => {
+    entries.push({
+      loc: postUrl(siteUrl, post),
+      lastmod: formatLastmod(post.lastModified || post.date),
+      changefreq: 'monthly',
+      priority: '0.8'
+    });
+  });
+
+  for (const [tag, lastModified] of tagLastModified) {
+    entries.push({
+      loc: tagUrl(siteUrl, tag),
+      lastmod: formatLastmod(lastModified),
+      changefreq: 'weekly',
+      priority: '0.5'
+    });
+  }
+
+  return entries;
+}
+
+// Split entries in chunks that each fit in a single sitemap file
+function paginateSitemap(entries) {
+  const pages = [];
+  for (let i = 0; i < entries.length; i += MAX_URLS_PER_SITEMAP) {
+    pages.push(entries.slice(i, i + MAX_URLS_PER_SITEMAP));
+  }
+  return pages;
+}
+
+function buildUrlset(entries) {
+  const urlsXml = entries.map(entry => `  <url>
+    <loc>${escapeXml(entry.loc)}</loc>
+${entry.lastmod ? `    <lastmod>${entry.lastmod}</lastmod>\n` : ''}    <changefreq>${entry.changefreq}</changefreq>
+    <priority>${entry.priority}</priority>
+  </url>`).join('\n');
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">
+${urlsXml}
+</urlset>
+`;
+}
+
+function buildSitemapIndex(pages, siteUrl) {
+  const sitemapsXml = pages.map((entries, index) => {
+    const lastmod = entries
+      .map(entry => entry.lastmod)
+      .filter(Boolean)
+      .sort()
+      .pop();
+
+    return `  <sitemap>
+    <loc>${escapeXml(`${siteUrl}/sitemap-${index + 1}.xml`)}</loc>
+${lastmod ? `    <lastmod>${lastmod}</lastmod>\n` : ''}  </sitemap>`;
+  }).join('\n');
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<sitemapindex xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">
+${sitemapsXml}
+</sitemapindex>
+`;
+}
+
+function buildRobotsTxt(siteUrl) {
+  return `User-agent: *
+Allow: /
+Allow: /api/posts/*/assets/
+Allow: /api/posts/*/og.png
+Disallow: /api/
+
+Sitemap: ${siteUrl}/sitemap.xml
+`;
+}
+
+module.exports = {
+  buildSitemapEntries,
+  paginateSitemap,
+  buildUrlset,
+  buildSitemapIndex,
+  buildRobotsTxt
+};
@@ -0,0 +1,28 @@
+/**
+ * Public URLs of blog pages
+ * Shared by feeds, sitemap and any other place that needs absolute links
+ */
+
+// Turn a free-form name into a URL slug ("Les Conteneurs, partie 1" -> "les-conteneurs-partie-1")
+function slugify(text) {
+  return String(text)
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+}
+
+function postUrl(siteUrl, post) {
+  return `${siteUrl}/posts/${encodeURIComponent(post.id)}`;
+}
+
+function tagUrl(siteUrl, tag) {
+  return `${siteUrl}/tags/${encodeURIComponent(tag)}`;
+}
+
+module.exports = {
+  slugify,
+  postUrl,
+  tagUrl
+};
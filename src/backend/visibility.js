@@ -0,0 +1,57 @@
+/**
+ * Post visibility: drafts, scheduled publication and unlisted posts
+ * Publication is evaluated against the current time on every call, so a
+ * scheduled post goes live as soon as its publishAt date has passed
+ */
+
+const crypto = require('crypto');
+
+const PREVIEW_SECRET = process.env.PREVIEW_SECRET || crypto.randomBytes(32).toString('hex');
+
+if (!process.env.PREVIEW_SECRET) {
+  console.warn('⚠️  PREVIEW_SECRET is not set, preview links will change on every restart');
+}
+
+// Date from which a post is public (publishAt, falling back to its date)
+function getPublishDate(post) {
+  const date = new Date(post.publishAt || post.date);
+  return isNaN(date.getTime()) ? new Date(0) : date;
+}
+
+function getPostStatus(post, now = new Date()) {
+  if (post.draft) return 'draft';
+  if (getPublishDate(post) > now) return 'scheduled';
+  return 'published';
+}
+
+// Published posts can be opened directly, unlisted ones included
+function isPublished(post, now = new Date()) {
+  return getPostStatus(post, now) === 'published';
+}
+
+// Listed posts appear in listings, tags, search, feeds and the sitemap
+function isListed(post, now = new Date()) {
+  return isPublished(post, now) && !post.unlisted;
+}
+
+// Preview tokens are an HMAC of the post id, so they need no storage
+function createPreviewToken(postId) {
+  return crypto.createHmac('sha256', PREVIEW_SECRET).update(postId).digest('hex').slice(0, 32);
+}
+
+function verifyPreviewToken(postId, token) {
+  if (typeof token !== 'string') return false;
+
+  const expected = Buffer.from(createPreviewToken(postId));
+  const actual = Buffer.from(token);
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+}
+
+module.exports = {
+  getPublishDate,
+  getPostStatus,
+  isPublished,
+  isListed,
+  createPreviewToken,
+  verifyPreviewToken
+};
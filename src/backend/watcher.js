@@ -0,0 +1,171 @@
+/**
+ * Posts directory watching
+ * Uses fs.watch (inotify, FSEvents, ...) with debouncing, and falls back to
+ * polling where change events are not delivered, e.g. on network mounts
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// Filesystems where fs.watch stays silent for changes made by other hosts
+const NETWORK_FILESYSTEMS = new Set([
+  'nfs', 'nfs4', 'cifs', 'smb3', 'smbfs', '9p', 'afs', 'ceph', 'glusterfs',
+  'fuse.sshfs', 'fuse.rclone', 'fuse.glusterfs', 'davfs'
+]);
+
+// Filesystem type of the mount containing `dir` (Linux only), or null
+function getFilesystemType(dir) {
+  try {
+    const realDir = fs.realpathSync(dir);
+    const mounts = fs.readFileSync('/proc/mounts', 'utf-8')
+      .split('\n')
+      .map(line => line.split(' '))
+      .filter(fields => fields.length >= 3)
+      .map(([, mountPoint, type]) => ({ mountPoint: mountPoint.replace(/\\040/g, ' '), type }));
+
+    // The longest mount point containing the directory wins
+    let best = null;
+    mounts.forEach(mount => {
+      const prefix = mount.mountPoint.endsWith('/') ? mount.mountPoint : `${mount.mountPoint}/`;
+      const contains = realDir === mount.mountPoint || realDir.startsWith(prefix);
+      if (contains && (!best || mount.mountPoint.length >= best.mountPoint.length)) {
+        best = mount;
+      }
+    });
+
+    return best ? best.type : null;
+  } catch {
+    return null;
+  }
+}
+
+// Every directory under `target`: post directories and their asset folders
+function listSubdirectories(target) {
+  return fs.readdirSync(target, { withFileTypes: true })
+    .filter(entry => entry.isDirectory())
+    .flatMap(entry => {
+      const subdirectory = path.join(target, entry.name);
+      return [subdirectory, ...listSubdirectories(subdirectory)];
+    });
+}
+
+// Watch `dir` and its subdirectories (directory-based posts and their assets)
+// onChange() is called once per burst of changes, never concurrently; the
+// caller diffs the directory itself since event filenames are unreliable.
+// options.mode: 'auto' (events unless on a network mount), 'events' or 'poll'
+function watchDirectory(dir, onChange, { mode = 'auto', debounceMs = 200, pollIntervalMs = 2000 } = {}) {
+  const watchers = new Map();
+  let debounceTimer = null;
+  let pollTimer = null;
+  let running = false;
+  let rerun = false;
+  let currentMode = null;
+
+  async function run() {
+    if (running) {
+      rerun = true;
+      return;
+    }
+
+    running = true;
+    try {
+      do {
+        rerun = false;
+        await onChange();
+      } while (rerun);
+    } catch (error) {
+      console.warn('Error handling posts directory changes:', error.message);
+    } finally {
+      running = false;
+    }
+  }
+
+  function schedule() {
+    clearTimeout(debounceTimer);
+    debounceTimer = setTimeout(() => {
+      syncSubdirectoryWatchers();
+      run();
+    }, debounceMs);
+  }
+
+  function addWatcher(target) {
+    if (watchers.has(target)) return;
+
+    const watcher = fs.watch(target, { persistent: true }, schedule);
+    watcher.on('error', error => {
+      // The directory itself went away: the next sync drops it
+      if (target !== dir && error.code === 'ENOENT') return;
+      console.warn(`⚠️  Watching ${target} failed (${error.message}), falling back to polling`);
+      startPolling();
+    });
+    watchers.set(target, watcher);
+  }
+
+  // Follow post and asset directories being created and removed
+  function syncSubdirectoryWatchers() {
+    if (currentMode !== 'events') return;
+
+    try {
+      const subdirectories = new Set(listSubdirectories(dir));
+
+      watchers.forEach((watcher, target) => {
+        if (target !== dir && !subdirectories.has(target)) {
+          watcher.close();
+          watchers.delete(target);
+        }
+      });
+      subdirectories.forEach(addWatcher);
+    } catch (error) {
+      console.warn(`⚠️  Watching ${dir} failed (${error.message}), falling back to polling`);
+      startPolling();
+    }
+  }
+
+  function closeWatchers() {
+    watchers.forEach(watcher => watcher.close());
+    watchers.clear();
+  }
+
+  function startPolling() {
+    if (currentMode === 'poll') return;
+
+    closeWatchers();
+    currentMode = 'poll';
+    pollTimer = setInterval(run, pollIntervalMs);
+  }
+
+  function startWatching() {
+    try {
+      currentMode = 'events';
+      addWatcher(dir);
+      syncSubdirectoryWatchers();
+    } catch (error) {
+      // e.g. ENOSPC when the inotify watch limit is reached
+      console.warn(`⚠️  Watching ${dir} failed (${error.message}), falling back to polling`);
+      startPolling();
+    }
+  }
+
+  const filesystemType = getFilesystemType(dir);
+  if (mode === 'poll' || (mode === 'auto' && NETWORK_FILESYSTEMS.has(filesystemType))) {
+    startPolling();
+  } else {
+    startWatching();
+  }
+
+  return {
+    get mode() {
+      return currentMode;
+    },
+    filesystemType,
+    close() {
+      clearTimeout(debounceTimer);
+      clearInterval(pollTimer);
+      closeWatchers();
+    }
+  };
+}
+
+module.exports = {
+  watchDirectory
+};
@@ -0,0 +1,448 @@
+/**
+ * Admin editor
+ * Writes posts through the admin API: frontmatter fields, markdown with a
+ * live preview rendered by the server, and images dropped into the editor
+ * uploaded to the post's assets. Also moderates reader comments.
+ */
+
+class AdminApp {
+  constructor() {
+    this.currentId = null; // Id of the post being edited, null until a new post is saved
+    this.frontmatter = {}; // Frontmatter as loaded, so keys without a field are kept
+    this.assets = []; // Asset paths of the current post
+    this.isDirty = false;
+    this.isSaving = false;
+    this.previewTimeout = null; // Debounce preview requests
+    this.previewRequest = 0; // Ignore preview responses older than the latest request
+    this.commentStatus = 'pending'; // Comments listed in the moderation view
+
+    this.form = document.getElementById('admin-form');
+    this.content = document.getElementById('admin-content');
+    this.preview = document.getElementById('admin-preview');
+    this.status = document.getElementById('admin-status');
+    this.comments = document.getElementById('admin-comments');
+
+    this.init();
+  }
+
+  init() {
+    this.setupEventListeners();
+    this.loadPosts();
+    this.loadPendingCount();
+
+    const params = new URLSearchParams(location.search);
+    const postId = params.get('post');
+    if (params.get('view') === 'comments') {
+      this.showComments();
+    } else if (postId) {
+      this.openPost(postId);
+    } else {
+      this.newPost();
+    }
+  }
+
+  setupEventListeners() {
+    this.form.addEventListener('submit', (e) => {
+      e.preventDefault();
+      this.save();
+    });
+
+    this.form.addEventListener('input', () => this.setDirty(true));
+    this.content.addEventListener('input', () => this.schedulePreview());
+
+    // Embeds of the preview load on click, as on the blog
+    this.preview.addEventListener('click', (e) => {
+      const button = e.target.closest('.embed-load');
+      if (button) this.loadEmbed(button.closest('.embed'));
+    });
+
+    document.getElementById('admin-new').addEventListener('click', () => {
+      if (this.confirmDiscard()) this.newPost();
+    });
+
+    document.getElementById('admin-moderate').addEventListener('click', () => {
+      if (this.confirmDiscard()) this.showComments();
+    });
+
+    this.comments.addEventListener('click', (e) => {
+      const button = e.target.closest('button');
+      if (!button) return;
+      if (button.dataset.status) {
+        this.commentStatus = button.dataset.status;
+        this.loadComments();
+      } else if (button.dataset.action) {
+        this.moderateComment(button.dataset.action, button.closest('[data-comment-id]'));
+      }
+    });
+
+    document.getElementById('admin-posts').addEventListener('click', (e) => {
+      const link = e.target.closest('[data-post-id]');
+      if (!link) return;
+      e.preventDefault();
+      if (this.confirmDiscard()) this.openPost(link.dataset.postId);
+    });
+
+    // Ctrl+S / Cmd+S saves
+    document.addEventListener('keydown', (e) => {
+      if ((e.ctrlKey || e.metaKey) && e.key === 's') {
+        e.preventDefault();
+        this.save();
+      }
+    });
+
+    // Images dropped on the editor are uploaded and inserted at the drop point
+    this.content.addEventListener('dragover', (e) => {
+      if (!e.dataTransfer.types.includes('Files')) return;
+      e.preventDefault();
+      this.content.classList.add('dragover');
+    });
+    this.content.addEventListener('dragleave', () => this.content.classList.remove('dragover'));
+    this.content.addEventListener('drop', (e) => {
+      const files = [...e.dataTransfer.files].filter(file => file.type.startsWith('image/'));
+      this.content.classList.remove('dragover');
+      if (files.length === 0) return;
+      e.preventDefault();
+      this.uploadImages(files);
+    });
+
+    window.addEventListener('beforeunload', (e) => {
+      if (this.isDirty) e.preventDefault();
+    });
+  }
+
+  // Fetch JSON from the admin API, throwing the server's message on failure
+  async request(url, options = {}) {
+    const response = await fetch(url, options);
+    const data = response.status === 204 ? null : await response.json().catch(() => null);
+
+    if (!response.ok) {
+      const error = new Error((data && data.error) || `HTTP ${response.status}`);
+      error.issues = (data && data.issues) || [];
+      throw error;
+    }
+    return data;
+  }
+
+  requestJson(url, method, body) {
+    return this.request(url, {
+      method,
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(body)
+    });
+  }
+
+  async loadPosts() {
+    try {
+      const data = await this.request('/api/admin/posts');
+      this.renderPostList(data.posts);
+    } catch (error) {
+      this.showStatus(`Échec du chargement des articles : ${error.message}`, true);
+    }
+  }
+
+  renderPostList(posts) {
+    const list = document.getElementById('admin-posts');
+    list.innerHTML = posts.map(post => `
+      <li class="admin-post ${post.id === this.currentId ? 'current' : ''}">
+        <a href="/admin?post=${encodeURIComponent(post.id)}" data-post-id="${this.escapeHtml(post.id)}">
+          <span class="admin-post-title">${this.escapeHtml(post.title)}</span>
+          <span class="admin-post-meta">${this.escapeHtml(post.date.slice(0, 10))}${post.status !== 'published' ? ` [${post.status}]` : ''}</span>
+        </a>
+      </li>
+    `).join('');
+  }
+
+  newPost() {
+    this.fillForm({
+      id: null,
+      frontmatter: { date: new Date().toISOString().slice(0, 10), draft: true },
+      content: '',
+      assets: [],
+      url: null
+    });
+    history.replaceState(null, '', '/admin');
+  }
+
+  async openPost(postId) {
+    try {
+      const post = await this.request(`/api/admin/posts/${encodeURIComponent(postId)}`);
+      this.fillForm(post);
+      history.replaceState(null, '', `/admin?post=${encodeURIComponent(post.id)}`);
+    } catch (error) {
+      this.showStatus(`Échec du chargement de l'article : ${error.message}`, true);
+    }
+  }
+
+  fillForm(post) {
+    this.showEditor();
+    this.currentId = post.id;
+    this.frontmatter = { ...post.frontmatter };
+    this.assets = (post.assets || []).map(asset => asset.path);
+
+    const fields = this.form.elements;
+    fields.title.value = this.frontmatter.title || '';
+    fields.id.value = post.id || '';
+    fields.id.readOnly = Boolean(post.id); // Renaming changes the post URL, so it is not done here
+    fields.tags.value = (this.frontmatter.tags || []).join(', ');
+    fields.date.value = this.frontmatter.date || '';
+    fields.draft.checked = this.frontmatter.draft === true;
+    this.content.value = post.content;
+
+    this.updateViewLink(post.url);
+    this.setDirty(false);
+    this.showStatus(post.issues && post.issues.length > 0 ? post.issues.join(' ; ') : '', Boolean(post.issues && post.issues.length));
+    document.querySelectorAll('.admin-post').forEach(item => {
+      item.classList.toggle('current', item.querySelector('[data-post-id]').dataset.postId === post.id);
+    });
+    this.renderPreview();
+  }
+
+  // Post as sent to the API; frontmatter keys without a field are kept as loaded
+  readForm() {
+    const fields = this.form.elements;
+    const tags = fields.tags.value.split(',').map(tag => tag.trim()).filter(Boolean);
+
+    return {
+      id: fields.id.value.trim() || undefined,
+      frontmatter: {
+        ...this.frontmatter,
+        title: fields.title.value.trim(),
+        tags: tags.length > 0 ? tags : undefined,
+        date: fields.date.value.trim(),
+        draft: fields.draft.checked || undefined
+      },
+      content: this.content.value
+    };
+  }
+
+  async save() {
+    if (this.isSaving) return false;
+    if (!this.form.reportValidity()) return false;
+
+    this.isSaving = true;
+    this.showStatus('enregistrement...');
+    try {
+      const { id, frontmatter, content } = this.readForm();
+      const post = this.currentId ?
+        await this.requestJson(`/api/admin/posts/${encodeURIComponent(this.currentId)}`, 'PUT', { frontmatter, content }) :
+        await this.requestJson('/api/admin/posts', 'POST', { id, frontmatter, content });
+
+      this.currentId = post.id;
+      this.frontmatter = { ...post.frontmatter };
+      this.form.elements.id.value = post.id;
+      this.form.elements.id.readOnly = true;
+      this.updateViewLink(post.url);
+      this.setDirty(false);
+      history.replaceState(null, '', `/admin?post=${encodeURIComponent(post.id)}`);
+      this.showStatus(`[enregistré ${new Date().toLocaleTimeString('fr-FR')}]`);
+      this.loadPosts();
+      return true;
+    } catch (error) {
+      this.showStatus([`Échec de l'enregistrement : ${error.message}`, ...(error.issues || [])].join(' ; '), true);
+      return false;
+    } finally {
+      this.isSaving = false;
+    }
+  }
+
+  // Assets belong to a saved post, so a new post is saved before its first upload
+  async uploadImages(files) {
+    if (!this.currentId && !await this.save()) return;
+
+    const insertAt = this.content.selectionStart;
+    const references = [];
+
+    for (const file of files) {
+      const assetPath = this.uniqueAssetPath(file.name);
+      this.showStatus(`envoi de ${assetPath}...`);
+      try {
+        await this.request(`/api/admin/posts/${encodeURIComponent(this.currentId)}/assets/${encodeURIComponent(assetPath)}`, {
+          method: 'PUT',
+          headers: { 'Content-Type': file.type || 'application/octet-stream' },
+          body: file
+        });
+        this.assets.push(assetPath);
+        references.push(`![${file.name.replace(/\.[^.]+$/, '').replace(/[[\]]/g, '')}](${assetPath})`);
+      } catch (error) {
+        this.showStatus(`Échec de l'envoi de ${file.name} : ${error.message}`, true);
+        return;
+      }
+    }
+
+    const text = this.content.value;
+    const before = text.slice(0, insertAt);
+    const separator = before && !before.endsWith('\n') ? '\n' : '';
+    this.content.value = `${before}${separator}${references.join('\n')}\n${text.slice(insertAt)}`;
+    this.setDirty(true);
+    this.showStatus(`${references.length} image(s) ajoutée(s)`);
+    this.renderPreview();
+  }
+
+  // File name usable in a URL and markdown, not clashing with an existing asset
+  uniqueAssetPath(fileName) {
+    const dot = fileName.lastIndexOf('.');
+    const extension = dot > 0 ? fileName.slice(dot).toLowerCase() : '';
+    const base = (dot > 0 ? fileName.slice(0, dot) : fileName)
+      .normalize('NFD')
+      .replace(/[\u0300-\u036f]/g, '')
+      .toLowerCase()
+      .replace(/[^a-z0-9]+/g, '-')
+      .replace(/^-+|-+$/g, '') || 'image';
+
+    let candidate = `${base}${extension}`;
+    for (let index = 2; this.assets.includes(candidate); index++) {
+      candidate = `${base}-${index}${extension}`;
+    }
+    return candidate;
+  }
+
+  schedulePreview() {
+    clearTimeout(this.previewTimeout);
+    this.previewTimeout = setTimeout(() => this.renderPreview(), 300);
+  }
+
+  // Rendered by the server with the same markdown pipeline as published posts
+  async renderPreview() {
+    clearTimeout(this.previewTimeout);
+    const request = ++this.previewRequest;
+
+    try {
+      const data = await this.requestJson('/api/admin/preview', 'POST', {
+        id: this.currentId,
+        content: this.content.value
+      });
+      if (request === this.previewRequest) {
+        this.preview.innerHTML = data.html;
+      }
+    } catch (error) {
+      if (request === this.previewRequest) {
+        this.showStatus(`Échec de l'aperçu : ${error.message}`, true);
+      }
+    }
+  }
+
+  // Mirrors BlogApp.loadEmbed
+  loadEmbed(embed) {
+    const iframe = document.createElement('iframe');
+    iframe.src = embed.dataset.embedSrc;
+    iframe.title = embed.dataset.embedTitle;
+    iframe.allow = 'autoplay; encrypted-media; picture-in-picture; fullscreen';
+    iframe.referrerPolicy = 'strict-origin-when-cross-origin';
+    embed.querySelector('.embed-load').replaceWith(iframe);
+    embed.classList.add('embed-loaded');
+  }
+
+  updateViewLink(url) {
+    const link = document.getElementById('admin-view');
+    link.hidden = !url;
+    if (url) link.href = url;
+  }
+
+  setDirty(isDirty) {
+    this.isDirty = isDirty;
+    document.getElementById('admin-save').classList.toggle('dirty', isDirty);
+  }
+
+  confirmDiscard() {
+    return !this.isDirty || confirm('Abandonner les modifications non enregistrées ?');
+  }
+
+  showEditor() {
+    this.form.hidden = false;
+    this.comments.hidden = true;
+  }
+
+  // Moderation view, in place of the editor
+  showComments() {
+    this.form.hidden = true;
+    this.comments.hidden = false;
+    this.currentId = null;
+    this.setDirty(false);
+    document.querySelectorAll('.admin-post.current').forEach(item => item.classList.remove('current'));
+    history.replaceState(null, '', '/admin?view=comments');
+    this.loadComments();
+  }
+
+  async loadPendingCount() {
+    try {
+      const data = await this.request('/api/admin/comments?status=pending');
+      document.getElementById('admin-pending').textContent = data.comments.length > 0 ? `(${data.comments.length})` : '';
+    } catch (error) {
+      console.error('Error loading pending comments:', error);
+    }
+  }
+
+  async loadComments() {
+    const status = document.getElementById('admin-comments-status');
+    this.comments.querySelectorAll('[data-status]').forEach(button => {
+      button.classList.toggle('current', button.dataset.status === this.commentStatus);
+    });
+
+    try {
+      const data = await this.request(`/api/admin/comments?status=${this.commentStatus}`);
+      this.renderComments(data.comments);
+      status.textContent = data.comments.length === 0 ? 'aucun commentaire' : '';
+      status.classList.remove('error');
+    } catch (error) {
+      status.textContent = `Échec du chargement des commentaires : ${error.message}`;
+      status.classList.add('error');
+    }
+  }
+
+  renderComments(comments) {
+    document.getElementById('admin-comment-list').innerHTML = comments.map(comment => `
+      <li class="admin-comment" data-post-id="${this.escapeHtml(comment.postId)}" data-comment-id="${this.escapeHtml(comment.id)}">
+        <div class="admin-comment-meta">
+          <strong>${this.escapeHtml(comment.author)}</strong>
+          sur <a href="/posts/${encodeURIComponent(comment.postId)}#comment-${this.escapeHtml(comment.id)}" target="_blank" rel="noopener">${this.escapeHtml(comment.postTitle || comment.postId)}</a>
+          — ${this.escapeHtml(new Date(comment.createdAt).toLocaleString('fr-FR'))}
+          ${comment.parentId ? '— réponse' : ''}
+        </div>
+        <div class="admin-comment-content">${this.escapeHtml(comment.content)}</div>
+        <div class="admin-comment-actions">
+          ${comment.status === 'pending' ?
+            '<button class="btn" type="button" data-action="approve">approuver</button>' :
+            '<button class="btn" type="button" data-action="unpublish">dépublier</button>'}
+          <button class="btn" type="button" data-action="delete">supprimer</button>
+        </div>
+      </li>
+    `).join('');
+  }
+
+  async moderateComment(action, item) {
+    const url = `/api/admin/comments/${encodeURIComponent(item.dataset.postId)}/${encodeURIComponent(item.dataset.commentId)}`;
+    if (action === 'delete' && !confirm('Supprimer ce commentaire et ses réponses ?')) return;
+
+    try {
+      if (action === 'delete') {
+        await this.request(url, { method: 'DELETE' });
+      } else {
+        await this.requestJson(url, 'PATCH', { status: action === 'approve' ? 'approved' : 'pending' });
+      }
+      item.remove();
+      this.loadPendingCount();
+    } catch (error) {
+      const status = document.getElementById('admin-comments-status');
+      status.textContent = `Échec de la modération : ${error.message}`;
+      status.classList.add('error');
+    }
+  }
+
+  showStatus(message, isError = false) {
+    this.status.textContent = message;
+    this.status.classList.toggle('error', isError);
+  }
+
+  escapeHtml(unsafe) {
+    return unsafe
+      .replace(/&/g, "&amp;")
+      .replace(/</g, "&lt;")
+      .replace(/>/g, "&gt;")
+      .replace(/"/g, "&quot;")
+      .replace(/'/g, "&#039;");
+  }
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+  window.adminApp = new AdminApp();
+});
@@ -16,6 +16,9 @@ class BlogApp {
     this.allTags = []; // Store all available tags
     this.isProcessingEmojis = false; // Prevent emoji observer loops
     this.isProcessingCodeBlocks = false; // Prevent code block observer loops
+    this.postEvents = null; // Live post updates from the server
+    this.tocLinks = []; // Table of contents links of the post being read, with their headings
+    this.isStaticExport = !!document.querySelector('meta[name="blog-export"][content="static"]'); // Served as files, without the server
     // Modern dark theme is default - no theme switching needed
 
     this.init();
@@ -23,10 +26,20 @@ class BlogApp {
 
   init() {
     this.setupEventListeners();
+
+    // Pages rendered by the server come with their data embedded
+    const initialState = this.readInitialState();
+    if (initialState) {
+      this.hydrate(initialState);
+    }
+
     this.setupIntersectionObserver();
     this.loadTags(); // Load available tags
-    this.loadInitialPosts();
+    if (!initialState) {
+      this.loadInitialPosts();
+    }
     this.loadVersionInfo(); // Load version info
+    this.subscribeToPostEvents(); // Live updates while posts are edited
     this.setupCodeCopyButtons(); // Setup copy buttons for code blocks
     this.convertEmojis(); // Convert emojis to Unicode and grayscale
   }
@@ -49,6 +62,16 @@ class BlogApp {
       }
     }, 100));
 
+    // Table of contents of the post being read, updated once per frame
+    let sectionFrame = null;
+    window.addEventListener('scroll', () => {
+      if (sectionFrame) return;
+      sectionFrame = requestAnimationFrame(() => {
+        sectionFrame = null;
+        this.updateCurrentSection();
+      });
+    }, { passive: true });
+
     // Error modal close
     const modalClose = document.getElementById('modal-close');
     modalClose?.addEventListener('click', () => this.hideErrorModal());
@@ -110,6 +133,57 @@ class BlogApp {
     this.observer.observe(sentinel);
   }
 
+  // Server-side rendering hydration
+  readInitialState() {
+    const element = document.getElementById('initial-state');
+    if (!element) return null;
+
+    try {
+      return JSON.parse(element.textContent);
+    } catch (error) {
+      console.error('Invalid initial state:', error);
+      return null;
+    }
+  }
+
+  // Attach behaviour to the server-rendered markup instead of rebuilding it
+  hydrate(state) {
+    const container = document.getElementById('blog-posts');
+
+    if (state.view === 'post') {
+      const article = container.querySelector('.post-full');
+      this.posts = [state.post];
+      this.hasMorePosts = false;
+      this.bindFullPost(article, state.post);
+      window.history.replaceState({ postId: state.post.id }, state.post.title, window.location.href);
+    } else if (state.view === 'listing') {
+      this.currentTag = state.tag;
+      this.posts = [...state.posts];
+      this.currentPage = state.pagination.page + 1;
+      this.hasMorePosts = state.pagination.hasNext;
+
+      // Infinite scroll takes over from the no-JS pagination links
+      container.querySelector('.pagination')?.remove();
+
+      container.querySelectorAll('article.post-card').forEach(article => {
+        const post = state.posts.find(p => p.id === article.getAttribute('data-post-id'));
+        if (post) {
+          this.bindPostCard(article, post);
+        }
+      });
+
+      this.updatePageHeader();
+      if (state.tag) {
+        window.history.replaceState({ tag: state.tag }, '', window.location.href);
+      }
+      if (!this.hasMorePosts) {
+        this.showEndIndicator();
+      }
+    } else {
+      this.hasMorePosts = false;
+    }
+  }
+
   // API Calls
   async loadInitialPosts() {
     this.currentPage = 1;
@@ -121,7 +195,7 @@ class BlogApp {
 
   async loadTags() {
     try {
-      const response = await fetch('/api/tags');
+      const response = await fetch(this.apiUrl('/api/tags'));
       if (response.ok) {
         const data = await response.json();
         this.allTags = data.tags;
@@ -133,7 +207,7 @@ class BlogApp {
 
   async loadVersionInfo() {
     try {
-      const response = await fetch('/api/version');
+      const response = await fetch(this.apiUrl('/api/version'));
       if (response.ok) {
         const data = await response.json();
         const versionElement = document.getElementById('version-info');
@@ -164,7 +238,7 @@ class BlogApp {
         url = `/api/posts?page=${this.currentPage}&limit=6`;
       }
       
-      const response = await fetch(url);
+      const response = await fetch(this.apiUrl(url));
       
       if (!response.ok) {
         throw new Error(`HTTP ${response.status}: ${response.statusText}`);
@@ -228,18 +302,20 @@ class BlogApp {
     article.className = isFeatured ? 'post-card featured' : 'post-card';
     article.setAttribute('data-post-id', post.id);
 
-    const tagsHtml = post.tags?.length ?
-      post.tags.map(tag => `<span class="post-tag" data-tag="${this.escapeHtml(tag)}">${this.escapeHtml(tag)}</span>`).join('') : '';
+    const tagsHtml = this.renderTags(post.tags);
 
+    // Search results come with server-escaped, highlighted title and snippet;
+    // the excerpt is plain text (frontmatter or the start of the markdown)
     const excerptLength = isFeatured ? 500 : 300;
-    const excerpt = post.content ?
-      this.truncateHtml(post.content, excerptLength) : post.excerpt || '';
+    const excerpt = post.highlights ? post.highlights.content : post.content ?
+      this.truncateHtml(post.content, excerptLength) : this.escapeHtml(post.excerpt || '');
+    const titleHtml = post.highlights ? post.highlights.title : this.escapeHtml(post.title);
 
     article.innerHTML = `
       <header class="post-header">
         <h2 class="post-title">
-          <a href="#post-${post.id}" data-post-id="${post.id}">
-            ${this.escapeHtml(post.title)}
+          <a href="/posts/${post.id}" data-post-id="${post.id}">
+            ${titleHtml}
           </a>
         </h2>
         <div class="post-meta">
@@ -252,11 +328,22 @@ class BlogApp {
       <div class="post-excerpt">
         ${excerpt}
       </div>
-      <a href="#post-${post.id}" class="read-more" data-post-id="${post.id}">
+      <a href="/posts/${post.id}" class="read-more" data-post-id="${post.id}">
         Lire plus →
       </a>
     `;
 
+    this.bindPostCard(article, post);
+
+    return article;
+  }
+
+  renderTags(tags) {
+    return tags?.length ?
+      tags.map(tag => `<a class="post-tag" href="/tags/${encodeURIComponent(tag)}" data-tag="${this.escapeHtml(tag)}">${this.escapeHtml(tag)}</a>`).join('') : '';
+  }
+
+  bindPostCard(article, post) {
     // Add click handlers for post links
     const postLinks = article.querySelectorAll('[data-post-id]');
     postLinks.forEach(link => {
@@ -276,8 +363,6 @@ class BlogApp {
         this.filterByTag(tag);
       });
     });
-
-    return article;
   }
 
   async showFullPost(postId) {
@@ -290,7 +375,7 @@ class BlogApp {
 
     // Fetch full post content
     try {
-      const response = await fetch(`/api/posts/${postId}`);
+      const response = await fetch(this.postApiUrl(postId));
       if (!response.ok) throw new Error(`HTTP ${response.status}`);
       
       const post = await response.json();
@@ -306,32 +391,105 @@ class BlogApp {
     }
   }
 
-  renderFullPost(post) {
+  // Drafts need the preview token from the URL
+  postApiUrl(postId, subpath = '') {
+    const previewToken = new URLSearchParams(window.location.search).get('preview');
+    return previewToken ?
+      `/api/posts/${postId}${subpath}?preview=${encodeURIComponent(previewToken)}` : this.apiUrl(`/api/posts/${postId}${subpath}`);
+  }
+
+  // A static export holds API responses as <path>.json, query strings aside,
+  // and post lists page by page as <path>/page/<n>.json
+  apiUrl(url) {
+    if (!this.isStaticExport) return url;
+
+    const [pathname, query = ''] = url.split('?');
+    const page = new URLSearchParams(query).get('page');
+    return page ? `${pathname}/page/${page}.json` : `${pathname}.json`;
+  }
+
+  // inPlace: refresh the post already shown, without scrolling or a history entry
+  renderFullPost(post, { inPlace = false } = {}) {
     const container = document.getElementById('blog-posts');
     container.innerHTML = '';
+    document.getElementById('new-post-banner')?.remove();
 
     const article = document.createElement('article');
     article.className = 'post-card post-full';
+    article.setAttribute('data-post-id', post.id);
     
-    const tagsHtml = post.tags?.length ? 
-      post.tags.map(tag => `<span class="post-tag" data-tag="${this.escapeHtml(tag)}">${this.escapeHtml(tag)}</span>`).join('') : '';
+    const tagsHtml = this.renderTags(post.tags);
+
+    const previewLabels = { draft: 'brouillon', scheduled: 'programmé' };
+    const previewBanner = previewLabels[post.status] ?
+      `<div class="post-preview-banner">Aperçu privé — article ${previewLabels[post.status]}</div>` : '';
 
     article.innerHTML = `
       <header class="post-header">
         <button class="back-button" id="back-to-posts">← Retour à tous les articles</button>
+        ${previewBanner}
         <h1 class="post-title">${this.escapeHtml(post.title)}</h1>
         <div class="post-meta">
           <span class="post-author">${this.escapeHtml(post.author)}</span>
           <span class="post-date">${this.formatDate(post.date)}</span>
+          ${post.updated ? `<span class="post-updated">mis à jour le ${this.formatDate(post.updated)}</span>` : ''}
           <span class="post-read-time">${post.readTime} min de lecture</span>
         </div>
         ${tagsHtml ? `<div class="post-tags">${tagsHtml}</div>` : ''}
       </header>
-      <div class="post-content">
-        ${post.content}
+      <nav class="series-toc" hidden></nav>
+      <div class="post-body">
+        ${this.renderToc(post.toc)}
+        <div class="post-content">
+          ${post.content}
+        </div>
       </div>
+      <nav class="series-nav" hidden></nav>
     `;
 
+    container.appendChild(article);
+    this.bindFullPost(article, post);
+
+    if (inPlace) return;
+
+    this.scrollToTop();
+
+    // Update URL without page reload (drafts keep their preview token)
+    const query = post.status && post.status !== 'published' ? window.location.search : '';
+    window.history.pushState({ postId: post.id }, post.title, `/posts/${post.id}${query}`);
+  }
+
+  // Table of contents of a post, as a sidebar on wide screens
+  // Mirrors renderToc in backend/render.js
+  renderToc(toc) {
+    const countEntries = entries => entries.reduce((count, entry) => count + 1 + countEntries(entry.children), 0);
+    if (!toc || countEntries(toc) < 2) return '';
+
+    const renderEntries = entries => `<ol class="post-toc-list">${entries.map(entry => `<li>
+            <a href="#${this.escapeHtml(entry.id)}">${this.escapeHtml(entry.text)}</a>
+            ${entry.children.length > 0 ? renderEntries(entry.children) : ''}
+          </li>`).join('')}</ol>`;
+
+    return `<nav class="post-toc" aria-label="Sommaire">
+          <div class="post-toc-inner">
+            <p class="post-toc-title">Sommaire</p>
+            ${renderEntries(toc)}
+          </div>
+        </nav>`;
+  }
+
+  // Replace the click-to-load box of an embed with its frame
+  loadEmbed(embed) {
+    const iframe = document.createElement('iframe');
+    iframe.src = embed.dataset.embedSrc;
+    iframe.title = embed.dataset.embedTitle;
+    iframe.allow = 'autoplay; encrypted-media; picture-in-picture; fullscreen';
+    iframe.referrerPolicy = 'strict-origin-when-cross-origin';
+    embed.querySelector('.embed-load').replaceWith(iframe);
+    embed.classList.add('embed-loaded');
+  }
+
+  bindFullPost(article, post) {
     // Add event listener for back button
     const backButton = article.querySelector('#back-to-posts');
     backButton.addEventListener('click', (e) => {
@@ -350,15 +508,437 @@ class BlogApp {
       });
     });
 
-    container.appendChild(article);
-
     // Process emojis in the newly added content
     this.processEmojisInElement(article);
 
-    this.scrollToTop();
+    // Links to sections and footnotes scroll within the page. The hash
+    // replaces the current history entry: a new entry without post state
+    // would make popstate leave the post.
+    article.querySelectorAll('.post-body a[href^="#"]').forEach(link => {
+      link.addEventListener('click', (e) => {
+        const target = document.getElementById(decodeURIComponent(link.hash.slice(1)));
+        if (!target) return;
+        e.preventDefault();
+        target.scrollIntoView({ behavior: 'smooth', block: 'start' });
+        window.history.replaceState(window.history.state, '', link.hash);
+      });
+    });
+
+    // Third-party embeds are only loaded when the reader asks for them
+    article.querySelectorAll('.embed[data-embed-src]').forEach(embed => {
+      embed.querySelector('.embed-load').addEventListener('click', () => this.loadEmbed(embed));
+    });
+
+    // Section being read, highlighted in the table of contents
+    this.tocLinks = [...article.querySelectorAll('.post-toc a')]
+      .map(link => ({ link, heading: document.getElementById(decodeURIComponent(link.hash.slice(1))) }))
+      .filter(entry => entry.heading);
+    this.updateCurrentSection();
+
+    // Series table of contents and previous/next navigation
+    if (post.seriesSlug) {
+      this.loadSeriesNavigation(post, article);
+    }
+
+    // "Read next" suggestions below the article
+    this.loadRelatedPosts(post.id, article);
+
+    // Revisions, when the server keeps posts in git
+    this.loadPostHistory(post.id, article);
+
+    // Reader comments and the form to add one
+    this.loadComments(post, article);
+  }
+
+  // The current section is the last heading above the top fifth of the window
+  updateCurrentSection() {
+    if (this.tocLinks.length === 0) return;
+    if (!this.tocLinks[0].link.isConnected) {
+      this.tocLinks = []; // The reader left the post
+      return;
+    }
+
+    const limit = window.innerHeight / 5;
+    let current = null;
+    this.tocLinks.forEach(entry => {
+      if (entry.heading.getBoundingClientRect().top <= limit) current = entry;
+    });
+    this.tocLinks.forEach(entry => entry.link.classList.toggle('current', entry === current));
+  }
+
+  async loadSeriesNavigation(post, article) {
+    try {
+      const response = await fetch(this.apiUrl(`/api/series/${encodeURIComponent(post.seriesSlug)}`));
+      if (!response.ok) return;
+
+      const series = await response.json();
+      const index = series.posts.findIndex(p => p.id === post.id);
+      if (index === -1 || !article.isConnected) return;
+
+      const previous = series.posts[index - 1];
+      const next = series.posts[index + 1];
+
+      const toc = article.querySelector('.series-toc');
+      toc.innerHTML = `
+        <p class="series-toc-title">
+          Série « ${this.escapeHtml(series.name)} » — partie ${index + 1} sur ${series.count}
+        </p>
+        <ol class="series-toc-list">
+          ${series.posts.map(p => p.id === post.id ?
+            `<li class="series-toc-item current">${this.escapeHtml(p.title)}</li>` :
+            `<li class="series-toc-item"><a href="/posts/${p.id}" data-post-id="${p.id}">${this.escapeHtml(p.title)}</a></li>`
+          ).join('')}
+        </ol>
+      `;
+      toc.hidden = false;
+
+      const nav = article.querySelector('.series-nav');
+      nav.innerHTML = `
+        ${previous ? `<a href="/posts/${previous.id}" class="series-nav-link previous" data-post-id="${previous.id}">
+          <span class="series-nav-label">← Partie précédente</span>
+          <span class="series-nav-title">${this.escapeHtml(previous.title)}</span>
+        </a>` : '<span></span>'}
+        ${next ? `<a href="/posts/${next.id}" class="series-nav-link next" data-post-id="${next.id}">
+          <span class="series-nav-label">Partie suivante →</span>
+          <span class="series-nav-title">${this.escapeHtml(next.title)}</span>
+        </a>` : ''}
+      `;
+      nav.hidden = !previous && !next;
+
+      [toc, nav].forEach(element => {
+        element.querySelectorAll('[data-post-id]').forEach(link => {
+          link.addEventListener('click', (e) => {
+            e.preventDefault();
+            this.showFullPost(link.getAttribute('data-post-id'));
+          });
+        });
+      });
+    } catch (error) {
+      console.error('Error loading series:', error);
+    }
+  }
+
+  async loadRelatedPosts(postId, article) {
+    try {
+      const response = await fetch(this.apiUrl(`/api/posts/${postId}/related?limit=3`));
+      if (!response.ok) return;
+
+      const data = await response.json();
+      if (!data.posts || data.posts.length === 0) return;
+
+      // The reader may have navigated away while loading
+      if (!article.isConnected) return;
+
+      const section = document.createElement('section');
+      section.className = 'related-posts';
+      section.innerHTML = `
+        <h2 class="related-posts-title">À lire aussi</h2>
+        <ul class="related-posts-list">
+          ${data.posts.map(post => `
+            <li class="related-post">
+              <a href="/posts/${post.id}" data-post-id="${post.id}">${this.escapeHtml(post.title)}</a>
+              <span class="related-post-date">${this.formatDate(post.date)}</span>
+            </li>
+          `).join('')}
+        </ul>
+      `;
+
+      section.querySelectorAll('[data-post-id]').forEach(link => {
+        link.addEventListener('click', (e) => {
+          e.preventDefault();
+          this.showFullPost(link.getAttribute('data-post-id'));
+        });
+      });
+
+      // Above the comments, whichever loads first
+      article.insertBefore(section, article.querySelector('.post-comments'));
+    } catch (error) {
+      console.error('Error loading related posts:', error);
+    }
+  }
+
+  async loadPostHistory(postId, article) {
+    try {
+      const response = await fetch(this.postApiUrl(postId, '/history'));
+      if (!response.ok) return;
+
+      // A single revision is the post as first published
+      const data = await response.json();
+      if (!data.revisions || data.revisions.length < 2) return;
+
+      if (!article.isConnected) return;
+
+      const section = document.createElement('details');
+      section.className = 'post-history';
+      section.innerHTML = `
+        <summary class="post-history-title">Historique (${data.revisions.length} révisions)</summary>
+        <ol class="post-history-list">
+          ${data.revisions.map(revision => `
+            <li class="post-history-item">
+              <span class="post-history-date">${this.formatDate(revision.date)}</span>
+              <span class="post-history-message">${this.escapeHtml(revision.message)}</span>
+              <button class="post-history-diff" data-sha="${this.escapeHtml(revision.sha)}">diff</button>
+              <div class="post-history-changes" hidden></div>
+            </li>
+          `).join('')}
+        </ol>
+      `;
+
+      section.querySelectorAll('[data-sha]').forEach(button => {
+        button.addEventListener('click', () => this.togglePostDiff(postId, button));
+      });
+
+      // Above the suggestions and comments, whichever loads first
+      article.insertBefore(section, article.querySelector('.related-posts, .post-comments'));
+    } catch (error) {
+      console.error('Error loading post history:', error);
+    }
+  }
+
+  // Show or hide the changes made by a revision
+  async togglePostDiff(postId, button) {
+    const changes = button.nextElementSibling;
+    if (!changes.hidden) {
+      changes.hidden = true;
+      return;
+    }
+
+    if (!changes.innerHTML) {
+      try {
+        const response = await fetch(this.postApiUrl(postId, `/revisions/${button.dataset.sha}/diff`));
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+        const data = await response.json();
+        changes.innerHTML = data.html;
+      } catch (error) {
+        this.showError(`Échec du chargement des modifications : ${error.message}`);
+        return;
+      }
+    }
+    changes.hidden = false;
+  }
+
+  async loadComments(post, article) {
+    // Drafts and scheduled posts take no comments
+    if (post.status && post.status !== 'published') return;
+
+    try {
+      const response = await fetch(`/api/posts/${post.id}/comments`);
+      if (!response.ok) return;
+
+      const data = await response.json();
+      if (!article.isConnected) return;
+
+      const section = document.createElement('section');
+      section.className = 'post-comments';
+      section.id = 'comments';
+      section.innerHTML = this.renderComments(data);
+      this.bindComments(section, post.id);
+
+      // Replaces the list rendered by the server
+      const existing = article.querySelector('.post-comments');
+      if (existing) {
+        existing.replaceWith(section);
+      } else {
+        article.appendChild(section);
+      }
+    } catch (error) {
+      console.error('Error loading comments:', error);
+    }
+  }
+
+  // Mirrors renderComments in backend/render.js, plus reply buttons and the form
+  renderComments(data) {
+    return `
+      <h2 class="post-comments-title">Commentaires (${data.count})</h2>
+      ${data.count > 0 ?
+        `<ol class="comment-list">${data.comments.map(comment => this.renderComment(comment)).join('')}</ol>` :
+        '<p class="comments-empty">Aucun commentaire pour l\'instant.</p>'}
+      <form class="comment-form">
+        <input type="hidden" name="parentId" value="">
+        <label class="comment-field">
+          <span>nom</span>
+          <input type="text" name="author" required maxlength="80" autocomplete="name">
+        </label>
+        <label class="comment-honeypot" aria-hidden="true">
+          <span>Laissez ce champ vide</span>
+          <input type="text" name="website" tabindex="-1" autocomplete="off">
+        </label>
+        <label class="comment-field">
+          <span>commentaire</span>
+          <textarea name="content" required maxlength="5000" rows="5"></textarea>
+        </label>
+        <div class="comment-actions">
+          <button class="btn" type="submit">envoyer</button>
+          <button class="comment-cancel" type="button" hidden>annuler la réponse</button>
+          <span class="comment-status" role="status"></span>
+        </div>
+      </form>
+    `;
+  }
+
+  renderComment(comment) {
+    const body = comment.content.split(/\n{2,}/)
+      .map(paragraph => `<p>${this.escapeHtml(paragraph).replace(/\n/g, '<br>')}</p>`)
+      .join('');
+    const replies = comment.replies.length > 0 ?
+      `<ol class="comment-list comment-replies">${comment.replies.map(reply => this.renderComment(reply)).join('')}</ol>` : '';
+
+    return `
+      <li class="comment" id="comment-${this.escapeHtml(comment.id)}">
+        <div class="comment-meta">
+          <span class="comment-author">${this.escapeHtml(comment.author)}</span>
+          <time class="comment-date" datetime="${this.escapeHtml(comment.createdAt)}">${this.formatDate(comment.createdAt)}</time>
+        </div>
+        <div class="comment-body">${body}</div>
+        <button class="comment-reply" type="button" data-comment-id="${this.escapeHtml(comment.id)}">répondre</button>
+        ${replies}
+      </li>
+    `;
+  }
+
+  bindComments(section, postId) {
+    const form = section.querySelector('.comment-form');
+    const cancel = form.querySelector('.comment-cancel');
+    const status = form.querySelector('.comment-status');
+    const submit = form.querySelector('[type="submit"]');
+
+    // The form moves under the comment being answered, and back to the end
+    const replyTo = (button) => {
+      form.elements.parentId.value = button ? button.dataset.commentId : '';
+      cancel.hidden = !button;
+      if (button) {
+        button.after(form);
+        form.elements.content.focus();
+      } else {
+        section.appendChild(form);
+      }
+    };
+
+    section.querySelectorAll('.comment-reply').forEach(button => {
+      button.addEventListener('click', () => replyTo(button));
+    });
+    cancel.addEventListener('click', () => replyTo(null));
+
+    form.addEventListener('submit', async (e) => {
+      e.preventDefault();
+      submit.disabled = true;
+      status.textContent = 'envoi...';
+
+      try {
+        const response = await fetch(`/api/posts/${postId}/comments`, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({
+            author: form.elements.author.value,
+            content: form.elements.content.value,
+            parentId: form.elements.parentId.value || undefined,
+            website: form.elements.website.value
+          })
+        });
+        const data = await response.json().catch(() => null);
+        if (!response.ok) throw new Error((data && data.error) || `HTTP ${response.status}`);
+
+        form.elements.content.value = '';
+        replyTo(null);
+        status.textContent = 'Merci ! Votre commentaire sera publié après modération.';
+      } catch (error) {
+        status.textContent = `Échec de l'envoi : ${error.message}`;
+      } finally {
+        submit.disabled = false;
+      }
+    });
+  }
+
+  // Live updates (Server-Sent Events)
+  subscribeToPostEvents() {
+    if (typeof EventSource === 'undefined') return;
+
+    // A post page also follows its post when unlisted, and a private
+    // preview its unpublished post
+    const previewToken = new URLSearchParams(window.location.search).get('preview');
+    const postMatch = window.location.pathname.match(/^\/posts\/([^/]+)/);
+    let url = '/api/events';
+    if (postMatch) {
+      url += `?post=${postMatch[1]}`;
+      if (previewToken) url += `&preview=${encodeURIComponent(previewToken)}`;
+    }
 
-    // Update URL without page reload
-    window.history.pushState({ postId: post.id }, post.title, `#post-${post.id}`);
+    this.postEvents = new EventSource(url);
+    this.postEvents.addEventListener('post', (e) => {
+      try {
+        this.handlePostEvent(JSON.parse(e.data));
+      } catch (error) {
+        console.error('Invalid post event:', error);
+      }
+    });
+  }
+
+  handlePostEvent(event) {
+    const openPost = document.querySelector('#blog-posts .post-full[data-post-id]');
+
+    if (openPost) {
+      if (event.type === 'changed' && openPost.getAttribute('data-post-id') === event.id) {
+        this.refreshOpenPost(event.id);
+      }
+      return;
+    }
+
+    // Announce new posts on listings they belong to
+    const matchesTag = !this.currentTag || (event.tags || []).some(tag =>
+      tag.toLowerCase() === this.currentTag.toLowerCase()
+    );
+    if (event.published && !this.currentSearch && matchesTag) {
+      this.showNewPostBanner(event);
+    }
+  }
+
+  // Re-render the open post in place, keeping the reading position
+  async refreshOpenPost(postId) {
+    try {
+      const response = await fetch(this.postApiUrl(postId));
+      if (!response.ok) return;
+
+      const post = await response.json();
+
+      // The reader may have navigated away while loading
+      const openPost = document.querySelector('#blog-posts .post-full[data-post-id]');
+      if (!openPost || openPost.getAttribute('data-post-id') !== postId) return;
+
+      const scrollY = window.scrollY;
+      this.renderFullPost(post, { inPlace: true });
+      window.scrollTo(0, scrollY);
+
+      const index = this.posts.findIndex(p => p.id === postId);
+      if (index !== -1) {
+        this.posts[index] = post;
+      }
+    } catch (error) {
+      console.error('Error refreshing post:', error);
+    }
+  }
+
+  showNewPostBanner(event) {
+    let banner = document.getElementById('new-post-banner');
+    if (!banner) {
+      banner = document.createElement('div');
+      banner.id = 'new-post-banner';
+      banner.className = 'new-post-banner';
+      banner.setAttribute('role', 'status');
+      document.body.appendChild(banner);
+    }
+
+    banner.innerHTML = `
+      <a href="/posts/${event.id}" class="new-post-banner-link" data-post-id="${event.id}">
+        Nouvel article : ${this.escapeHtml(event.title)}
+      </a>
+      <button class="new-post-banner-close" type="button" aria-label="Fermer">×</button>
+    `;
+
+    banner.querySelector('.new-post-banner-link').addEventListener('click', (e) => {
+      e.preventDefault();
+      this.showFullPost(event.id);
+    });
+    banner.querySelector('.new-post-banner-close').addEventListener('click', () => banner.remove());
   }
 
   goBack() {
@@ -418,7 +998,7 @@ class BlogApp {
     await this.loadMorePosts();
     
     // Update browser history
-    window.history.pushState({ tag }, `Articles avec le tag "${tag}"`, `#tag-${encodeURIComponent(tag)}`);
+    window.history.pushState({ tag }, `Articles avec le tag "${tag}"`, `/tags/${encodeURIComponent(tag)}`);
   }
 
   clearTagFilter() {
@@ -554,7 +1134,7 @@ class BlogApp {
       heroTitle.textContent = `Résultats de recherche`;
       heroSubtitle.innerHTML = `
         <div class="search-results-info">
-          Recherche pour "<span class="search-query">${this.currentSearch}</span>"
+          Recherche pour "<span class="search-query">${this.escapeHtml(this.currentSearch)}</span>"
           <button class="clear-filter-btn" id="clear-search-button">
             ← Retour à tous les articles
           </button>
@@ -772,7 +1352,7 @@ class BlogApp {
       copyButton.setAttribute('aria-label', 'Copy code to clipboard');
 
       copyButton.addEventListener('click', async () => {
-        const code = codeBlock.textContent;
+        const code = this.getCodeText(codeBlock);
 
         try {
           await navigator.clipboard.writeText(code);
@@ -798,6 +1378,18 @@ class BlogApp {
     });
   }
 
+  // Line numbers and diff markers are CSS content, so they are not part of
+  // the text; removed lines of a diff are left out as well
+  getCodeText(codeBlock) {
+    const lines = codeBlock.querySelectorAll('.code-line');
+    if (lines.length === 0) return codeBlock.textContent;
+
+    return Array.from(lines)
+      .filter(line => !line.classList.contains('diff-remove'))
+      .map(line => line.textContent)
+      .join('\n');
+  }
+
   // Emoji Converter
   getEmojiMap() {
     return {
@@ -966,9 +1558,21 @@ class BlogApp {
 // Service Worker Registration removed for simplicity
 // If needed in the future, create /sw.js file first
 
+// Redirect legacy hash URLs (#post-<id>, #tag-<tag>) to their real pages
+// They only existed on the home page; elsewhere the hash is a section of the page
+const legacyHash = window.location.pathname === '/' ? window.location.hash : '';
+const isLegacyRedirect = legacyHash.startsWith('#post-') || legacyHash.startsWith('#tag-');
+if (legacyHash.startsWith('#post-')) {
+  window.location.replace(`/posts/${legacyHash.replace('#post-', '')}${window.location.search}`);
+} else if (legacyHash.startsWith('#tag-')) {
+  window.location.replace(`/tags/${legacyHash.replace('#tag-', '')}`);
+}
+
 // Initialize the application
 document.addEventListener('DOMContentLoaded', () => {
-  window.blogApp = new BlogApp();
+  if (!isLegacyRedirect) {
+    window.blogApp = new BlogApp();
+  }
 });
 
 // Handle browser back/forward
@@ -982,22 +1586,6 @@ window.addEventListener('popstate', (event) => {
   }
 });
 
-// Handle initial page load with hash
-window.addEventListener('DOMContentLoaded', () => {
-  const hash = window.location.hash;
-  if (hash.startsWith('#tag-')) {
-    const tag = decodeURIComponent(hash.replace('#tag-', ''));
-    setTimeout(() => {
-      window.blogApp.filterByTag(tag);
-    }, 100); // Wait for app to initialize
-  } else if (hash.startsWith('#post-')) {
-    const postId = hash.replace('#post-', '');
-    setTimeout(() => {
-      window.blogApp.showFullPost(postId);
-    }, 100);
-  }
-});
-
 // Add CSS animations for notifications
 const style = document.createElement('style');
 style.textContent = `
@@ -0,0 +1,41 @@
+/**
+ * @jest-environment jsdom
+ */
+const fs = require('fs');
+const path = require('path');
+
+// app.js is a browser script: evaluate it and take the class it declares
+const source = fs.readFileSync(path.join(__dirname, '../frontend/app.js'), 'utf-8');
+const BlogApp = new Function(`${source}\nreturn BlogApp;`)();
+
+// Without running init(), which needs the whole page
+function createApp() {
+  return Object.create(BlogApp.prototype);
+}
+
+describe('post cards', () => {
+  const post = {
+    id: 'demo',
+    title: 'Demo',
+    author: 'Auteur',
+    date: '2024-01-01',
+    readTime: 1,
+    tags: []
+  };
+
+  test('show the excerpt as text', () => {
+    const article = createApp().createPostElement({
+      ...post,
+      excerpt: '<img src=x onerror="window.pwned = true"> # Titre'
+    });
+
+    expect(article.querySelector('.post-excerpt img')).toBeNull();
+    expect(article.querySelector('.post-excerpt').textContent).toContain('<img src=x onerror="window.pwned = true">');
+  });
+
+  test('keep the sanitized HTML of post content', () => {
+    const article = createApp().createPostElement({ ...post, content: '<p>Du <strong>gras</strong></p>' });
+
+    expect(article.querySelector('.post-excerpt strong').textContent).toBe('gras');
+  });
+});
@@ -0,0 +1,107 @@
+const { marked } = require('marked');
+const { createSanitizer } = require('../backend/sanitize');
+
+// Same marked options as the server
+function render(markdown, options) {
+  return createSanitizer(options)(marked(markdown, { gfm: true, breaks: true }));
+}
+
+// Nothing in the output may run script
+function expectInert(html) {
+  expect(html).not.toMatch(/<script/i);
+  expect(html).not.toMatch(/\son[a-z]+\s*=/i);
+  expect(html).not.toMatch(/=\s*"?\s*javascript:/i);
+  expect(html).not.toMatch(/<(iframe|object|embed|form|base|meta|link|style|svg|math)\b/i);
+  expect(html).not.toMatch(/\s(style|srcdoc|formaction)\s*=/i);
+}
+
+describe('sanitized post HTML', () => {
+  const payloads = {
+    'script tag': '<script>alert(1)</script>',
+    'script tag split by markdown': 'Hello\n<script>\nalert(1)\n</script>',
+    'image error handler': '<img src=x onerror=alert(1)>',
+    'markdown image breaking out of src': '![x](x"onerror="alert(1))',
+    'svg load handler': '<svg onload=alert(1)><circle r="1"/></svg>',
+    'javascript link': '[click](javascript:alert(1))',
+    'uppercase javascript link': '[click](JAVASCRIPT:alert(1))',
+    'entity-encoded javascript link': '<a href="&#106;avascript:alert(1)">click</a>',
+    'javascript link with tab': '<a href="java\tscript:alert(1)">click</a>',
+    'data URL link': '<a href="data:text/html,<script>alert(1)</script>">click</a>',
+    'autolink to javascript': '<javascript:alert(1)>',
+    'iframe with javascript src': '<iframe src="javascript:alert(1)"></iframe>',
+    'iframe with srcdoc': '<iframe srcdoc="<script>alert(1)</script>"></iframe>',
+    'object and embed': '<object data="evil.swf"></object><embed src="evil.swf">',
+    'form with javascript action': '<form action="javascript:alert(1)"><button formaction="javascript:alert(1)">go</button></form>',
+    'details toggle handler': '<details open ontoggle=alert(1)><summary>x</summary></details>',
+    'inline style': '<div style="background:url(javascript:alert(1))">x</div>',
+    'style element': '<style>body { background: url(javascript:alert(1)) }</style>',
+    'meta refresh': '<meta http-equiv="refresh" content="0;url=javascript:alert(1)">',
+    'base href': '<base href="javascript:alert(1)//">',
+    'mutation through math and style': '<math><mtext><table><mglyph><style><img src=x onerror=alert(1)></style></mglyph></table></mtext></math>',
+    'handler in a table cell': '| a |\n|---|\n| <img src=x onerror=alert(1)> |',
+    'video handler': '<video src="x.mp4" onerror="alert(1)"></video>',
+    'text input': '<input type="text" onfocus="alert(1)" autofocus>'
+  };
+
+  Object.entries(payloads).forEach(([name, markdown]) => {
+    test(`neutralises ${name}`, () => {
+      expectInert(render(markdown));
+    });
+  });
+
+  test('keeps the text around removed markup', () => {
+    expect(render('Avant <span onclick="alert(1)">milieu</span> après')).toBe('<p>Avant <span>milieu</span> après</p>\n');
+  });
+
+  test('keeps regular markdown output', () => {
+    const html = render([
+      '## Titre',
+      '',
+      '- [x] fait',
+      '',
+      '| a | b |',
+      '|:--|--:|',
+      '| 1 | 2 |',
+      '',
+      '![photo](/api/posts/demo/assets/photo.jpg "Légende")',
+      '',
+      '~~barré~~ [lien](https://example.com) <kbd>Ctrl</kbd>'
+    ].join('\n'));
+
+    expect(html).toContain('<h2>Titre</h2>');
+    expect(html).toContain('<input checked disabled type="checkbox" />');
+    expect(html).toContain('<td align="right">2</td>');
+    expect(html).toContain('<img src="/api/posts/demo/assets/photo.jpg" alt="photo" title="Légende" />');
+    expect(html).toContain('<del>barré</del>');
+    expect(html).toContain('<a href="https://example.com">lien</a>');
+    expect(html).toContain('<kbd>Ctrl</kbd>');
+  });
+
+  test('keeps highlighted code classes', () => {
+    const html = createSanitizer()('<pre><code class="hljs language-js"><span class="hljs-keyword">const</span> a = 1;</code></pre>');
+    expect(html).toBe('<pre><code class="hljs language-js"><span class="hljs-keyword">const</span> a = 1;</code></pre>');
+  });
+
+  test('stops links opened in a new tab from reaching the page', () => {
+    expect(render('<a href="https://example.com" target="_blank" rel="opener">x</a>'))
+      .toContain('<a href="https://example.com" target="_blank" rel="noopener noreferrer">x</a>');
+  });
+
+  test('allows iframes from configured hosts only', () => {
+    const options = { iframeHosts: ['www.youtube-nocookie.com'] };
+
+    expect(render('<iframe src="https://www.youtube-nocookie.com/embed/abc" allowfullscreen></iframe>', options))
+      .toContain('<iframe src="https://www.youtube-nocookie.com/embed/abc" allowfullscreen></iframe>');
+    expect(render('<iframe src="https://evil.example/embed"></iframe>', options)).not.toContain('evil.example');
+    expect(render('<iframe src="https://www.youtube-nocookie.com.evil.example/"></iframe>', options)).not.toContain('evil.example');
+    expectInert(render('<iframe src="https://www.youtube-nocookie.com/embed/abc"></iframe>'));
+  });
+
+  test('allows configured extra tags with global attributes only', () => {
+    const html = render('<abbr title="HyperText Markup Language" onmouseover="alert(1)">HTML</abbr> <mark>x</mark> <marquee>y</marquee>', {
+      allowedTags: ['marquee']
+    });
+    expect(html).toContain('<abbr title="HyperText Markup Language">HTML</abbr>');
+    expect(html).toContain('<marquee>y</marquee>');
+  });
+});